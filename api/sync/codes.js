@@ -0,0 +1,53 @@
+import crypto from "node:crypto";
+import { HttpError, checkLockout, recordFailure } from "./guard.js";
+
+// Lifetime and redemption limits a creator may pick for a sync code.
+export const CODE_TTL = { min: 60, max: 24 * 60 * 60, default: 600 };
+export const CODE_USES = { min: 1, max: 50, default: 1 };
+
+export function clampInt(value, { min, max, default: fallback }) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export const entryKey = (code) => `sync:${code}`;
+export const usesKey = (code) => `sync:${code}:uses`;
+
+// The creator gets this token back; status and revoke require it.
+export function makeManageToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+export async function readEntry(store, code) {
+  const raw = await store.get(entryKey(code));
+  return raw ? JSON.parse(raw) : null;
+}
+
+function tokenMatches(entry, token) {
+  const a = Buffer.from(String(entry?.token || ""));
+  const b = Buffer.from(String(token || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Entry for the creator-only endpoints. A wrong token gets the same 404 as an unknown
+// code (so neither says which codes are live) and counts toward the IP lockout.
+export async function readManagedEntry(store, code, token, ip) {
+  await checkLockout(store, ip);
+  const entry = await readEntry(store, code);
+  if (!entry || !tokenMatches(entry, token)) {
+    await recordFailure(store, ip);
+    throw new HttpError(404, "not_found", "Code expired or not found");
+  }
+  return entry;
+}
+
+// Drops the payload but keeps the entry (until it would have expired) so the creator's
+// status view can say why the code stopped working.
+export async function retireEntry(store, code, entry, reason) {
+  const ttl = await store.ttl(entryKey(code));
+  const { cipher: _dropped, ...meta } = entry;
+  await store.set(entryKey(code), JSON.stringify({ ...meta, retired: reason }), {
+    ttlSec: ttl > 0 ? ttl : 60,
+  });
+}
@@ -1,4 +1,7 @@
-import { getRedis } from "./redisClient.js";
+import { getStore } from "./store.js";
+import { isEnvelope } from "./envelope.js";
+import { HttpError, clientIp, handleError, rateLimit, readJsonBody, sendError } from "./guard.js";
+import { CODE_TTL, CODE_USES, clampInt, entryKey, makeManageToken, usesKey } from "./codes.js";
 
 function makeCode() {
   return String(Math.floor(100000 + Math.random() * 900000));
@@ -6,34 +9,40 @@ function makeCode() {
 
 export default async function handler(req, res) {
   try {
-    if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+    if (req.method !== "POST") return sendError(res, 405, "method", "POST only");
 
-    const payload = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-    if (!payload || !Array.isArray(payload.records)) {
-      return res.status(400).json({ error: "Missing payload.records (must be an array)" });
+    const payload = readJsonBody(req);
+    if (!isEnvelope(payload.cipher)) {
+      throw new HttpError(400, "not_encrypted", "Sync payload must be encrypted (update the app)");
     }
+    const ttlSec = clampInt(payload.ttlSec, CODE_TTL);
+    const maxUses = clampInt(payload.maxUses, CODE_USES);
 
-    const redis = await getRedis();
+    const store = getStore();
+    await rateLimit(store, `create:${clientIp(req)}`, 10, 60);
 
     let code = makeCode();
     for (let i = 0; i < 8; i++) {
-      const exists = await redis.get(`sync:${code}`);
+      const exists = await store.get(entryKey(code));
       if (!exists) break;
       code = makeCode();
     }
 
-    const store = JSON.stringify({
-      ...payload,
-      mode: payload.mode || "all",
-      exportedAt: payload.exportedAt || Date.now(),
+    const token = makeManageToken();
+    const now = Date.now();
+    const entry = JSON.stringify({
+      cipher: payload.cipher,
+      createdAt: now,
+      expiresAt: now + ttlSec * 1000,
+      maxUses,
+      token,
     });
 
-    // set + expire in 10 minutes
-    await redis.set(`sync:${code}`, store, { EX: 600 });
+    await store.set(entryKey(code), entry, { ttlSec });
+    await store.del(usesKey(code));
 
-    return res.status(200).json({ code, expiresInSec: 600 });
+    return res.status(200).json({ code, expiresInSec: ttlSec, maxUses, manageToken: token });
   } catch (err) {
-    console.error("SYNC CREATE ERROR:", err);
-    return res.status(500).json({ error: "Internal Server Error", detail: String(err?.message || err) });
+    return handleError(res, "SYNC CREATE", err);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,19 @@
+// Payloads are encrypted on the device; the server only ever sees { v, iv, ct }.
+// Records can't be checked here, so the schema check is on the envelope itself
+// (the app validates the decrypted records before merging them).
+const B64URL = /^[A-Za-z0-9_-]+$/;
+
+export function isEnvelope(x) {
+  return (
+    !!x &&
+    typeof x === "object" &&
+    x.v === 1 &&
+    typeof x.iv === "string" &&
+    x.iv.length === 16 &&
+    B64URL.test(x.iv) &&
+    typeof x.ct === "string" &&
+    x.ct.length >= 22 &&
+    B64URL.test(x.ct) &&
+    Object.keys(x).length === 3
+  );
+}
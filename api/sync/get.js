@@ -1,23 +1,49 @@
-import { getRedis } from "./redisClient.js";
+import { getStore } from "./store.js";
+import {
+  checkLockout,
+  clientIp,
+  handleError,
+  parseCode,
+  rateLimit,
+  recordFailure,
+  sendError,
+} from "./guard.js";
+import { entryKey, readEntry, retireEntry, usesKey } from "./codes.js";
 
 export default async function handler(req, res) {
   try {
-    if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+    if (req.method !== "GET") return sendError(res, 405, "method", "GET only");
 
-    const code = String(req.query.code || "").trim();
-    if (!/^\d{6}$/.test(code)) return res.status(400).json({ error: "Bad code" });
+    const code = parseCode(req.query.code);
+    const ip = clientIp(req);
 
-    const redis = await getRedis();
+    const store = getStore();
+    await checkLockout(store, ip);
+    await rateLimit(store, `get:${ip}`, 20, 60);
 
-    const key = `sync:${code}`;
-    const raw = await redis.get(key);
+    const entry = await readEntry(store, code);
+    if (!entry || entry.retired || !entry.cipher) {
+      await recordFailure(store, ip);
+      return sendError(res, 404, "not_found", "Code expired or not found");
+    }
+    // A multi-use code may be redeemed by every volunteer at once; leave room for retries.
+    const maxUses = entry.maxUses || 1;
+    await rateLimit(store, `get-code:${code}`, Math.max(10, maxUses * 2), 60);
 
-    if (!raw) return res.status(404).json({ error: "Code expired or not found" });
+    // Count the redemption atomically; the last allowed one retires the code.
+    const uses = await store.incr(usesKey(code));
+    if (uses === 1) {
+      const ttl = await store.ttl(entryKey(code));
+      await store.expire(usesKey(code), ttl > 0 ? ttl : 60);
+    }
+    if (uses > maxUses) {
+      await recordFailure(store, ip);
+      return sendError(res, 404, "not_found", "Code expired or not found");
+    }
+    if (uses === maxUses) await retireEntry(store, code, entry, "used");
 
-    await redis.del(key); // one-time
-    return res.status(200).json(JSON.parse(raw));
+    return res.status(200).json({ cipher: entry.cipher, uses, maxUses });
   } catch (err) {
-    console.error("SYNC GET ERROR:", err);
-    return res.status(500).json({ error: "Internal Server Error", detail: String(err?.message || err) });
+    return handleError(res, "SYNC GET", err);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+// Abuse protection shared by the sync endpoints: rate limits kept in the sync store,
+// failed-lookup lockouts, a body size cap and uniform error responses.
+
+// Largest accepted JSON body. A few thousand encrypted roster rows fit comfortably.
+export const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// Wrong codes allowed per IP before it is locked out, and for how long.
+const MAX_FAILURES = 10;
+const FAILURE_WINDOW_SEC = 10 * 60;
+const LOCKOUT_SEC = 15 * 60;
+
+export class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+// { error, code[, retryAfterSec] }: `error` stays a readable string for older clients.
+export function sendError(res, status, code, message, extra = {}) {
+  if (extra.retryAfterSec) res.setHeader("Retry-After", String(extra.retryAfterSec));
+  return res.status(status).json({ error: message, code, ...extra });
+}
+
+// Logs the real error server-side only; clients never see internals.
+export function handleError(res, label, err) {
+  if (err instanceof HttpError) return sendError(res, err.status, err.code, err.message, err.extra);
+  console.error(`${label} ERROR:`, err);
+  return sendError(res, 500, "internal", "Internal Server Error");
+}
+
+export function clientIp(req) {
+  const fwd = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return fwd || String(req.headers?.["x-real-ip"] || "") || req.socket?.remoteAddress || "unknown";
+}
+
+export function readJsonBody(req) {
+  const declared = Number(req.headers?.["content-length"] || 0);
+  if (declared > MAX_BODY_BYTES) {
+    throw new HttpError(413, "too_large", "Payload too large");
+  }
+  let body = req.body;
+  if (typeof body === "string") {
+    if (body.length > MAX_BODY_BYTES) throw new HttpError(413, "too_large", "Payload too large");
+    try {
+      body = JSON.parse(body);
+    } catch {
+      throw new HttpError(400, "bad_json", "Body must be JSON");
+    }
+  } else if (body && JSON.stringify(body).length > MAX_BODY_BYTES) {
+    throw new HttpError(413, "too_large", "Payload too large");
+  }
+  if (!body || typeof body !== "object") throw new HttpError(400, "bad_json", "Body must be JSON");
+  return body;
+}
+
+// Counts one hit in a window. The key is created together with its TTL (SET NX EX) before
+// counting, so a crash between calls can't leave a counter that never expires; if the key
+// lapsed between the two calls, INCR recreates it bare and the TTL is put back.
+async function bumpCounter(store, key, windowSec) {
+  await store.set(key, "0", { ttlSec: windowSec, nx: true });
+  const n = await store.incr(key);
+  if (n === 1 && (await store.ttl(key)) === -1) await store.expire(key, windowSec);
+  return n;
+}
+
+// Fixed-window counter. Throws 429 once `limit` hits land inside `windowSec`.
+export async function rateLimit(store, key, limit, windowSec) {
+  const k = `rl:${key}`;
+  const n = await bumpCounter(store, k, windowSec);
+  if (n > limit) {
+    const ttl = await store.ttl(k);
+    throw new HttpError(429, "rate_limited", "Too many requests, slow down", {
+      retryAfterSec: ttl > 0 ? ttl : windowSec,
+    });
+  }
+}
+
+export async function checkLockout(store, ip) {
+  const ttl = await store.ttl(`lock:${ip}`);
+  if (ttl > 0) {
+    throw new HttpError(429, "locked_out", "Too many wrong codes. Try again later.", {
+      retryAfterSec: ttl,
+    });
+  }
+}
+
+// Call when a code lookup misses; enough misses lock the IP out of code lookups
+// (get, join, status, revoke, and room push/pull on a room that doesn't exist).
+export async function recordFailure(store, ip) {
+  const k = `fail:${ip}`;
+  const n = await bumpCounter(store, k, FAILURE_WINDOW_SEC);
+  if (n >= MAX_FAILURES) {
+    await store.set(`lock:${ip}`, "1", { ttlSec: LOCKOUT_SEC });
+    await store.del(k);
+  }
+}
+
+export function parseCode(value) {
+  const code = String(value || "").trim();
+  if (!/^\d{6}$/.test(code)) throw new HttpError(400, "bad_code", "Bad code");
+  return code;
+}
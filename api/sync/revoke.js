@@ -0,0 +1,23 @@
+import { getStore } from "./store.js";
+import { clientIp, handleError, parseCode, rateLimit, readJsonBody, sendError } from "./guard.js";
+import { readManagedEntry, retireEntry } from "./codes.js";
+
+// Kills a code before it expires. Only the creator (holder of the manage token) can.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return sendError(res, 405, "method", "POST only");
+
+    const body = readJsonBody(req);
+    const code = parseCode(body.code);
+    const ip = clientIp(req);
+    const store = getStore();
+    await rateLimit(store, `revoke:${ip}`, 30, 60);
+
+    const entry = await readManagedEntry(store, code, body.token, ip);
+
+    if (!entry.retired) await retireEntry(store, code, entry, "revoked");
+    return res.status(200).json({ state: entry.retired || "revoked" });
+  } catch (err) {
+    return handleError(res, "SYNC REVOKE", err);
+  }
+}
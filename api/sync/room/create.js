@@ -0,0 +1,40 @@
+import { getStore } from "../store.js";
+import { isEnvelope } from "../envelope.js";
+import { HttpError, clientIp, handleError, rateLimit, readJsonBody, sendError } from "../guard.js";
+
+// Live rooms stay open for a school day; every push extends them.
+export const ROOM_TTL_SEC = 12 * 60 * 60;
+
+function makeCode() {
+  return String(Math.floor(100000 + Math.random() * 900000));
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return sendError(res, 405, "method", "POST only");
+
+    const payload = readJsonBody(req);
+    if (!isEnvelope(payload.cipher)) {
+      throw new HttpError(400, "not_encrypted", "Room payload must be encrypted (update the app)");
+    }
+
+    const store = getStore();
+    await rateLimit(store, `room-create:${clientIp(req)}`, 10, 60);
+
+    let code = makeCode();
+    for (let i = 0; i < 8; i++) {
+      const exists = await store.get(`room:${code}`);
+      if (!exists) break;
+      code = makeCode();
+    }
+
+    // The host's (encrypted) lists seed every device that joins; scans follow as
+    // encrypted deltas in room:<code>:log.
+    const entry = JSON.stringify({ createdAt: Date.now(), seed: payload.cipher });
+    await store.set(`room:${code}`, entry, { ttlSec: ROOM_TTL_SEC });
+
+    return res.status(200).json({ code, expiresInSec: ROOM_TTL_SEC });
+  } catch (err) {
+    return handleError(res, "ROOM CREATE", err);
+  }
+}
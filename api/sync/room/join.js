@@ -0,0 +1,36 @@
+import { getStore } from "../store.js";
+import {
+  checkLockout,
+  clientIp,
+  handleError,
+  parseCode,
+  rateLimit,
+  recordFailure,
+  sendError,
+} from "../guard.js";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return sendError(res, 405, "method", "GET only");
+
+    const code = parseCode(req.query.code);
+    const ip = clientIp(req);
+
+    const store = getStore();
+    await checkLockout(store, ip);
+    await rateLimit(store, `join:${ip}`, 20, 60);
+    await rateLimit(store, `join-code:${code}`, 60, 60);
+
+    const raw = await store.get(`room:${code}`);
+    if (!raw) {
+      await recordFailure(store, ip);
+      return sendError(res, 404, "not_found", "Room closed or not found");
+    }
+
+    // Not one-time: any number of devices can join while the room is open.
+    const room = JSON.parse(raw);
+    return res.status(200).json({ code, createdAt: room.createdAt, seed: room.seed });
+  } catch (err) {
+    return handleError(res, "ROOM JOIN", err);
+  }
+}
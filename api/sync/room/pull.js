@@ -0,0 +1,39 @@
+import { getStore } from "../store.js";
+import {
+  checkLockout,
+  clientIp,
+  handleError,
+  parseCode,
+  rateLimit,
+  recordFailure,
+  sendError,
+} from "../guard.js";
+
+// Devices poll with the sequence number they have seen so far. The limits leave room
+// for a handful of phones behind one school NAT polling every few seconds.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return sendError(res, 405, "method", "GET only");
+
+    const code = parseCode(req.query.code);
+    const since = Math.max(0, parseInt(req.query.since, 10) || 0);
+    const ip = clientIp(req);
+
+    const store = getStore();
+    await rateLimit(store, `pull:${ip}`, 600, 60);
+    await rateLimit(store, `pull-code:${code}`, 300, 60);
+
+    // As in push: the lockout only applies to misses, never to an open room.
+    if (!(await store.get(`room:${code}`))) {
+      await checkLockout(store, ip);
+      await recordFailure(store, ip);
+      return sendError(res, 404, "not_found", "Room closed or not found");
+    }
+
+    const raw = await store.listRange(`room:${code}:log`, since, since + 499);
+    const entries = raw.map((s) => JSON.parse(s));
+    return res.status(200).json({ entries, next: since + entries.length });
+  } catch (err) {
+    return handleError(res, "ROOM PULL", err);
+  }
+}
@@ -0,0 +1,73 @@
+import { getStore } from "../store.js";
+import { ROOM_TTL_SEC } from "./create.js";
+import { isEnvelope } from "../envelope.js";
+import {
+  HttpError,
+  checkLockout,
+  clientIp,
+  handleError,
+  parseCode,
+  rateLimit,
+  readJsonBody,
+  recordFailure,
+  sendError,
+} from "../guard.js";
+
+// A phone that was offline for a while replays its outbox in one go.
+const MAX_DELTAS = 500;
+
+// Entries a room's log may hold. A full school day of scans from several phones fits;
+// past it, devices are told to open a new room.
+export const MAX_LOG_ENTRIES = 20000;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return sendError(res, 405, "method", "POST only");
+
+    const body = readJsonBody(req);
+    const code = parseCode(body.code);
+    if (
+      !Array.isArray(body.deltas) ||
+      body.deltas.length > MAX_DELTAS ||
+      !body.deltas.every((d) => isEnvelope(d?.cipher))
+    ) {
+      throw new HttpError(
+        400,
+        "bad_deltas",
+        `Deltas must be an array of at most ${MAX_DELTAS} encrypted entries`
+      );
+    }
+    const ip = clientIp(req);
+
+    const store = getStore();
+    await rateLimit(store, `push:${ip}`, 600, 60);
+    await rateLimit(store, `push-code:${code}`, 300, 60);
+
+    // Devices already in an open room are never locked out (a school shares one IP);
+    // only misses count toward, and are blocked by, the wrong-code lockout.
+    if (!(await store.get(`room:${code}`))) {
+      await checkLockout(store, ip);
+      await recordFailure(store, ip);
+      return sendError(res, 404, "not_found", "Room closed or not found");
+    }
+
+    const log = `room:${code}:log`;
+    let seq = await store.listLength(log);
+    if (seq + body.deltas.length > MAX_LOG_ENTRIES) {
+      throw new HttpError(409, "room_full", "This room is full. Leave it and open a new one.");
+    }
+    if (body.deltas.length) {
+      const device = String(body.device || "").slice(0, 40);
+      seq = await store.listPush(
+        log,
+        body.deltas.map((d) => JSON.stringify({ cipher: d.cipher, device, receivedAt: Date.now() }))
+      );
+    }
+    await store.expire(`room:${code}`, ROOM_TTL_SEC);
+    await store.expire(log, ROOM_TTL_SEC);
+
+    return res.status(200).json({ seq });
+  } catch (err) {
+    return handleError(res, "ROOM PUSH", err);
+  }
+}
@@ -0,0 +1,28 @@
+import { getStore } from "./store.js";
+import { clientIp, handleError, parseCode, rateLimit, sendError } from "./guard.js";
+import { entryKey, readManagedEntry, usesKey } from "./codes.js";
+
+// Creator-only view of a code: { state: active | used | revoked, uses, maxUses, expiresInSec }.
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return sendError(res, 405, "method", "GET only");
+
+    const code = parseCode(req.query.code);
+    const ip = clientIp(req);
+    const store = getStore();
+    await rateLimit(store, `status:${ip}`, 120, 60);
+
+    const entry = await readManagedEntry(store, code, req.query.token, ip);
+
+    const uses = Math.min(entry.maxUses || 1, Number(await store.get(usesKey(code))) || 0);
+    const ttl = await store.ttl(entryKey(code));
+    return res.status(200).json({
+      state: entry.retired || "active",
+      uses,
+      maxUses: entry.maxUses || 1,
+      expiresInSec: entry.retired ? 0 : Math.max(0, ttl),
+    });
+  } catch (err) {
+    return handleError(res, "SYNC STATUS", err);
+  }
+}
@@ -0,0 +1,180 @@
+import { getRedis } from "./redisClient.js";
+
+/**
+ * Key/value storage used by the sync endpoints. Every backend implements:
+ *   get(key) -> string | null
+ *   set(key, value, { ttlSec, nx }?)   (nx: only if the key doesn't exist yet)
+ *   del(key)
+ *   incr(key) -> number
+ *   expire(key, ttlSec)
+ *   ttl(key) -> seconds left (-1 no expiry, -2 missing)
+ *   listPush(key, values[]) -> new length
+ *   listLength(key) -> number
+ *   listRange(key, start, stop) -> string[]   (inclusive, like LRANGE)
+ *
+ * Chosen by SYNC_STORE (redis | upstash | vercel-kv | memory). Without it the first
+ * configured one wins: REDIS_URL, UPSTASH_REDIS_REST_URL, KV_REST_API_URL, else memory
+ * outside production.
+ */
+
+function redisStore() {
+  return {
+    name: "redis",
+    get: async (key) => (await getRedis()).get(key),
+    set: async (key, value, { ttlSec, nx } = {}) =>
+      (await getRedis()).set(key, value, {
+        ...(ttlSec ? { EX: ttlSec } : {}),
+        ...(nx ? { NX: true } : {}),
+      }),
+    del: async (key) => (await getRedis()).del(key),
+    incr: async (key) => (await getRedis()).incr(key),
+    expire: async (key, ttlSec) => (await getRedis()).expire(key, ttlSec),
+    ttl: async (key) => (await getRedis()).ttl(key),
+    listPush: async (key, values) => (await getRedis()).rPush(key, values),
+    listLength: async (key) => (await getRedis()).lLen(key),
+    listRange: async (key, start, stop) => (await getRedis()).lRange(key, start, stop),
+  };
+}
+
+// Upstash and Vercel KV share the same REST client API.
+function restStore(name, clientPromise) {
+  return {
+    name,
+    get: async (key) => {
+      const v = await (await clientPromise).get(key);
+      return v == null ? null : String(v);
+    },
+    set: async (key, value, { ttlSec, nx } = {}) =>
+      (await clientPromise).set(key, value, {
+        ...(ttlSec ? { ex: ttlSec } : {}),
+        ...(nx ? { nx: true } : {}),
+      }),
+    del: async (key) => (await clientPromise).del(key),
+    incr: async (key) => (await clientPromise).incr(key),
+    expire: async (key, ttlSec) => (await clientPromise).expire(key, ttlSec),
+    ttl: async (key) => (await clientPromise).ttl(key),
+    listPush: async (key, values) => (await clientPromise).rpush(key, ...values),
+    listLength: async (key) => (await clientPromise).llen(key),
+    listRange: async (key, start, stop) =>
+      (await (await clientPromise).lrange(key, start, stop)).map(String),
+  };
+}
+
+function upstashStore() {
+  const { UPSTASH_REDIS_REST_URL: url, UPSTASH_REDIS_REST_TOKEN: token } = process.env;
+  if (!url || !token) {
+    throw new Error("Missing UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN");
+  }
+  // We store JSON strings ourselves; don't let the client parse them.
+  const client = import("@upstash/redis").then(
+    ({ Redis }) => new Redis({ url, token, automaticDeserialization: false })
+  );
+  return restStore("upstash", client);
+}
+
+function vercelKvStore() {
+  const { KV_REST_API_URL: url, KV_REST_API_TOKEN: token } = process.env;
+  if (!url || !token) throw new Error("Missing KV_REST_API_URL / KV_REST_API_TOKEN");
+  const client = import("@vercel/kv").then(({ createClient }) =>
+    createClient({ url, token, automaticDeserialization: false })
+  );
+  return restStore("vercel-kv", client);
+}
+
+// Single-process store for local development and tests. Data is lost on restart.
+export function createMemoryStore(now = () => Date.now()) {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  function live(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const e = live(key);
+      return e && !Array.isArray(e.value) ? e.value : null;
+    },
+    async set(key, value, { ttlSec, nx } = {}) {
+      if (nx && live(key)) return null;
+      data.set(key, { value: String(value), expiresAt: ttlSec ? now() + ttlSec * 1000 : 0 });
+      return "OK";
+    },
+    async del(key) {
+      return data.delete(key) ? 1 : 0;
+    },
+    async incr(key) {
+      const e = live(key);
+      const n = (e ? Number(e.value) || 0 : 0) + 1;
+      data.set(key, { value: String(n), expiresAt: e?.expiresAt || 0 });
+      return n;
+    },
+    async expire(key, ttlSec) {
+      const e = live(key);
+      if (!e) return 0;
+      e.expiresAt = now() + ttlSec * 1000;
+      return 1;
+    },
+    async ttl(key) {
+      const e = live(key);
+      if (!e) return -2;
+      if (!e.expiresAt) return -1;
+      return Math.ceil((e.expiresAt - now()) / 1000);
+    },
+    async listPush(key, values) {
+      const e = live(key);
+      const list = e && Array.isArray(e.value) ? e.value : [];
+      list.push(...values.map(String));
+      data.set(key, { value: list, expiresAt: e?.expiresAt || 0 });
+      return list.length;
+    },
+    async listLength(key) {
+      const e = live(key);
+      return e && Array.isArray(e.value) ? e.value.length : 0;
+    },
+    async listRange(key, start, stop) {
+      const e = live(key);
+      const list = e && Array.isArray(e.value) ? e.value : [];
+      return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    },
+  };
+}
+
+const FACTORIES = {
+  redis: redisStore,
+  upstash: upstashStore,
+  "vercel-kv": vercelKvStore,
+  memory: createMemoryStore,
+};
+
+function pickBackend(env) {
+  if (env.SYNC_STORE) return env.SYNC_STORE;
+  if (env.REDIS_URL) return "redis";
+  if (env.UPSTASH_REDIS_REST_URL) return "upstash";
+  if (env.KV_REST_API_URL) return "vercel-kv";
+  if (env.NODE_ENV !== "production") return "memory";
+  throw new Error("No sync store configured (set REDIS_URL, UPSTASH_REDIS_REST_URL or KV_REST_API_URL)");
+}
+
+let store = null;
+
+export function getStore() {
+  if (!store) {
+    const backend = pickBackend(process.env);
+    const factory = FACTORIES[backend];
+    if (!factory) throw new Error(`Unknown SYNC_STORE "${backend}"`);
+    store = factory();
+  }
+  return store;
+}
+
+// Lets tests (and the dev server) swap in a specific store.
+export function setStore(next) {
+  store = next;
+}
@@ -0,0 +1,107 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Largest request body the dev server will buffer; the handlers apply their own cap.
+const MAX_DEV_BODY = 8 * 1024 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_DEV_BODY) {
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Parses the body the way Vercel does: JSON when the content type says so, else the raw text.
+function parseBody(raw, contentType) {
+  if (!raw) return undefined;
+  if (String(contentType || "").includes("application/json")) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+// Adds the Vercel helpers (status/json/send) to a plain Node response.
+function vercelResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(data));
+    return res;
+  };
+  res.send = (data) => {
+    if (data !== null && typeof data === "object" && !Buffer.isBuffer(data)) return res.json(data);
+    res.end(data);
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Serves the Vercel-style handlers in api/ from `vite` dev, so sync works on a laptop
+ * without deploying. /api/sync/create -> api/sync/create.js (default export).
+ * Handlers are loaded through Vite, so edits apply without a restart.
+ * The sync store defaults to the in-memory one; set SYNC_STORE (plus its URL/token) in
+ * .env.local to test against a real backend.
+ */
+export default function devApi({ dir = "api", env = {} } = {}) {
+  return {
+    name: "sga-dev-api",
+    apply: "serve",
+
+    configureServer(server) {
+      Object.entries(env).forEach(([k, v]) => {
+        if (process.env[k] === undefined) process.env[k] = v;
+      });
+      if (!process.env.SYNC_STORE) process.env.SYNC_STORE = "memory";
+
+      const apiRoot = path.resolve(server.config.root, dir);
+
+      server.middlewares.use(async (req, res, next) => {
+        const url = new URL(req.url, "http://localhost");
+        if (!url.pathname.startsWith("/api/")) return next();
+
+        vercelResponse(res);
+        const file = path.join(apiRoot, `${url.pathname.slice("/api/".length)}.js`);
+        if (!file.startsWith(apiRoot + path.sep) || !fs.existsSync(file)) {
+          return res.status(404).json({ error: "No such API route", code: "not_found" });
+        }
+
+        try {
+          const mod = await server.ssrLoadModule(file);
+          if (typeof mod.default !== "function") {
+            return res.status(404).json({ error: "No such API route", code: "not_found" });
+          }
+          req.query = Object.fromEntries(url.searchParams);
+          const raw = ["GET", "HEAD"].includes(req.method) ? "" : await readBody(req);
+          req.body = parseBody(raw, req.headers["content-type"]);
+          await mod.default(req, res);
+        } catch (err) {
+          server.config.logger.error(`[api] ${url.pathname}: ${err?.stack || err}`);
+          if (!res.headersSent) {
+            res
+              .status(err?.status || 500)
+              .json({ error: err?.status ? err.message : "Internal Server Error", code: "internal" });
+          }
+        }
+      });
+    },
+  };
+}
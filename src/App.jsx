@@ -1,16 +1,118 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import Quagga from "@ericblade/quagga2";
 import { db } from "./db";
 import { downloadCSV, parseCSV } from "./csv";
+import { IMPORT_STRATEGIES, applyImportPlan, planImport } from "./importer";
+import {
+  MAPPABLE_FIELDS,
+  applyMapping,
+  collectExtraKeys,
+  extraColumns,
+  formatExtra,
+  loadMappingFor,
+  rememberMapping,
+} from "./mapping";
+import { isYes, validateImportRows } from "./validate";
+import {
+  BARCODE_READERS,
+  DEFAULT_SCAN_PROFILE,
+  compilePattern,
+  extractId,
+  idPlaceholder,
+  isCompleteId,
+  loadScanProfile,
+  normalizeStoredId,
+  saveScanProfile,
+} from "./scanProfile";
+import { ENGINE_LABELS, createDecoder, decodeImageFile, pickEngine } from "./decoders";
+import { attachWedge, loadWedgeSettings, saveWedgeSettings } from "./wedge";
+import { loadRapidSettings, playFeedback, saveRapidSettings, unlockAudio } from "./feedback";
+import {
+  RANGE_CONTROLS,
+  applyControl,
+  readControls,
+  restoreCameraPrefs,
+  saveCameraPref,
+} from "./cameraControls";
+import { loadSetting, saveSetting } from "./settings";
+import {
+  FULL_SCOPE,
+  buildSyncPayload,
+  mergeSyncPayload,
+  normalizeScope,
+  trackChanges,
+} from "./sync";
+import { QR_SIZES, qrSvg } from "./qrEncoder";
+import {
+  buildBackup,
+  backupFile,
+  canShareFile,
+  downloadFile,
+  readBackupFile,
+  restoreBackup,
+  shareFile,
+  summarizeBackup,
+} from "./backup";
+import {
+  LOW_STOCK_DEFAULT,
+  hasStock,
+  remainingFor,
+  saveEventStock,
+  stockLevel,
+  stockReport,
+  typeKey,
+  typeLabel,
+} from "./inventory";
+import { SNAPSHOT_REASONS, deleteSnapshot, listSnapshots, restoreSnapshot, takeSnapshot } from "./snapshots";
+import { FRAME_SPEEDS, createFrameReceiver, encodeFrames, isTransferFrame } from "./qrTransfer";
+import {
+  decryptPayload,
+  encryptPayload,
+  isSyncSecret,
+  makeSyncSecret,
+  parseSyncLink,
+} from "./syncCrypto";
+import {
+  createRoom,
+  joinRoom,
+  leaveRoom,
+  loadOutbox,
+  loadRoom,
+  queueRecord,
+  startRoomSync,
+} from "./room";
+import {
+  MODE_LABELS,
+  createEvent,
+  deleteEvent,
+  ensureDefaultEvents,
+  listEvents,
+  renameEvent,
+  setEventArchived,
+  setEventMode,
+} from "./events";
+import {
+  OUTCOME_LABELS,
+  isUndoable,
+  listScans,
+  logScan,
+  orphanScans,
+  revertRecord,
+  undoLastScan,
+  undoScan,
+} from "./history";
 
 /**
- * SGA PWA — App.jsx (CODE 39 ONLY)
+ * SGA PWA — App.jsx
  *
  * Notes:
- * - Scanner configured for Code 39 ONLY (Quagga2: code_39_reader).
- * - Includes: search (name/ID), progress pills w/ bar + remaining, offline indicator, zoom slider (if supported).
+ * - Scanner symbologies + ID extraction come from the scan profile (default: Code 39, 7-digit IDs).
+ * - QR (when enabled) is decoded from the same video by a second decoder.
+ * - Includes: search (name/ID), progress pills w/ bar + remaining, offline indicator,
+ *   torch / zoom / exposure controls (when the camera track supports them),
+ *   per-type stock for distribution events (see inventory.js).
  * - Camera does NOT auto-open on launch; user taps "Camera Scan".
  * - Data persists locally via IndexedDB (Dexie). Offline use works after first load.
+ * - Records belong to named events; each event carries its own mode (events | distribution).
  */
 
 function pad2(n) {
@@ -22,10 +124,14 @@ function nowStamp() {
     d.getHours()
   )}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
 }
-function normalizeId(id) {
-  const s = String(id ?? "").trim();
-  if (/^\d{6}$/.test(s)) return "0" + s;
-  return s;
+function fileSlug(name) {
+  return (
+    String(name ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "export"
+  );
 }
 function getGreeting() {
   const hour = new Date().getHours();
@@ -46,10 +152,48 @@ export default function App() {
   const [screen, setScreen] = useState("welcome"); // welcome | app
   const [welcomeStage, setWelcomeStage] = useState("in"); // in | out
 
-  const [mode, setMode] = useState("events"); // events | distribution
+  // Named events (workspaces). Mode is a property of the active event.
+  const [events, setEvents] = useState([]);
+  const [activeEventId, setActiveEventId] = useState(() => loadSetting("activeEventId", null));
+  const activeEventIdRef = useRef(activeEventId);
+  activeEventIdRef.current = activeEventId;
+  const [eventsOpen, setEventsOpen] = useState(false);
+  const [newEventName, setNewEventName] = useState("");
+  const [newEventMode, setNewEventMode] = useState("events");
+
+  const activeEvent = useMemo(
+    () => events.find((e) => e.id === activeEventId) || null,
+    [events, activeEventId]
+  );
+  const mode = activeEvent?.mode || "events"; // events | distribution
+  const openEvents = useMemo(() => events.filter((e) => !e.archived), [events]);
+  const archivedEvents = useMemo(() => events.filter((e) => e.archived), [events]);
+
   const [records, setRecords] = useState([]);
   const [scan, setScan] = useState("");
 
+  // Scanning profile (symbologies + ID extraction rule), device-local
+  const [scanProfile, setScanProfile] = useState(() => loadScanProfile());
+  const scanProfileRef = useRef(scanProfile);
+  scanProfileRef.current = scanProfile;
+  const [profileDraft, setProfileDraft] = useState(null); // settings modal when set
+  const [profileTest, setProfileTest] = useState("");
+
+  // Keyboard-wedge (HID) scanner mode, device-local
+  const [wedge, setWedge] = useState(() => loadWedgeSettings());
+  const [wedgeDraft, setWedgeDraft] = useState(null);
+
+  // Scan history (audit trail + undo)
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [snapshotsOpen, setSnapshotsOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [backupDraft, setBackupDraft] = useState(null); // { backup, summary } read from a file
+  const [inventoryOpen, setInventoryOpen] = useState(false);
+  const [stockDraft, setStockDraft] = useState(null); // { stock: { type: "count" }, lowStockAt, newType }
+  const [scanHistory, setScanHistory] = useState([]);
+
   const [query, setQuery] = useState("");
   const [isOnline, setIsOnline] = useState(
     typeof navigator !== "undefined" ? navigator.onLine : true
@@ -57,7 +201,28 @@ export default function App() {
 
   const [banner, setBanner] = useState(null); // {text, type}
   const bannerTimer = useRef(null);
+
+  // Rapid-scan mode: compact toast + ticker instead of the full-screen banner
+  const [rapid, setRapid] = useState(() => loadRapidSettings());
+  const [rapidDraft, setRapidDraft] = useState(null);
+  const [toast, setToast] = useState(null); // {text, kind}
+  const toastTimer = useRef(null);
+  const [rapidLog, setRapidLog] = useState([]); // [{id, text, kind, stamp}]
+  const rapidSeq = useRef(0);
+  const rapidRef = useRef(rapid);
+  rapidRef.current = rapid;
   const importInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const imageInputRef = useRef(null);
+
+  // Scan from image: {busy, url, width, height, code, points, engine}
+  const [imageScan, setImageScan] = useState(null);
+  // Bumped on every new image scan and on close, so a late decode result is dropped.
+  const imageScanSeq = useRef(0);
+
+  // CSV import wizard: {fileName, fields, rows, lines, mapping, strategy, step: map | review}
+  const [importDraft, setImportDraft] = useState(null);
+  const [importBusy, setImportBusy] = useState(false);
 
 
   // ---- SYNC (one-time code + QR) ----
@@ -67,37 +232,71 @@ export default function App() {
   const [syncMsg, setSyncMsg] = useState("");
   const [syncCreatedCode, setSyncCreatedCode] = useState("");
   const [syncEnterCode, setSyncEnterCode] = useState("");
+  // Encryption secret: only ever in the link fragment / QR, never sent to the server
+  const [syncSecret, setSyncSecret] = useState("");
+  // Lifetime / redemption limit for new codes, and the live status of the current one
+  const [syncCodeOpts, setSyncCodeOpts] = useState(() => ({
+    ttlSec: 600,
+    maxUses: 1,
+    ...(loadSetting("syncCodeOptions", null) || {}),
+  }));
+  const [syncCodeInfo, setSyncCodeInfo] = useState(null);
+  // What Create / Send by QR hand over: which events, and whether progress / custom fields go too
+  const [syncScope, setSyncScope] = useState(() =>
+    normalizeScope(loadSetting("syncScope", FULL_SCOPE))
+  );
+  const [syncClock, setSyncClock] = useState(() => Date.now());
+  const [syncEnterKey, setSyncEnterKey] = useState("");
+  const [syncReport, setSyncReport] = useState(null);
+  // Locally drawn QR: size preset + the link shown fullscreen (null when closed)
+  const [qrSize, setQrSize] = useState(() => loadSetting("qrSize", "m"));
+  const [qrFullscreen, setQrFullscreen] = useState(null);
+
+  // Offline transfer as a looping QR sequence (see qrTransfer.js)
+  const [qrFrames, setQrFrames] = useState(null);
+  const [qrFrameIdx, setQrFrameIdx] = useState(0);
+  const [qrSpeed, setQrSpeed] = useState(() => loadSetting("qrSpeed", "normal"));
+  const [qrRecv, setQrRecv] = useState(null); // { have, total, done } while receiving
+  const qrReceiverRef = useRef(null);
+
+  // Live room (see room.js): { code, since } while this device is in one
+  const [room, setRoom] = useState(() => loadRoom());
+  const [roomStatus, setRoomStatus] = useState(() => ({
+    pending: loadOutbox().length,
+    lastSync: 0,
+    error: "",
+  }));
+  const roomSyncRef = useRef(null);
 
   // Optional QR scanner (for entering code)
   const [qrScanOpen, setQrScanOpen] = useState(false);
   const qrVideoRef = useRef(null);
   const qrStreamRef = useRef(null);
   const qrLoopRef = useRef(null);
+  const qrFrameRef = useRef(null);
 
   // Scanner UI
   const [scanOpen, setScanOpen] = useState(false);
   const [scannerStatus, setScannerStatus] = useState("idle"); // idle | starting | running | error
-  const processedCountRef = useRef(0);
-  const lastBoxRef = useRef(0);
+  const [scannerEngine, setScannerEngine] = useState(""); // native | quagga (see decoders.js)
 
   // Cameras (for flip)
   const [videoInputs, setVideoInputs] = useState([]); // [{deviceId,label}]
   const [cameraIndex, setCameraIndex] = useState(0);
 
-  // Quagga lifecycle flags
-  const quaggaRunningRef = useRef(false);
+  // Active decoder engine (native BarcodeDetector or Quagga2)
+  const decoderRef = useRef(null);
   // Tap-to-focus (best-effort; limited on iOS PWAs)
   const focusTrackRef = useRef(null);
   const focusCapsRef = useRef(null);
   const [focusSupported, setFocusSupported] = useState(false);
+  // Torch / zoom / exposure (see cameraControls.js); null until the track is probed
+  const [camControls, setCamControls] = useState(null);
 
   // Debounce detections
   const lastDetectedRef = useRef({ text: "", t: 0 });
 
-  const title = useMemo(
-    () => (mode === "events" ? "Events" : "Distribution"),
-    [mode]
-  );
+  const title = activeEvent?.name || MODE_LABELS[mode];
 
   const totalCount = records.length;
   const doneCount = useMemo(() => {
@@ -106,16 +305,102 @@ export default function App() {
   }, [records, mode]);
   const remainingCount = Math.max(0, totalCount - doneCount);
   const progressPct = totalCount ? Math.round((doneCount / totalCount) * 100) : 0;
+  const stockRows = useMemo(
+    () => (mode === "distribution" ? stockReport(records, activeEvent) : []),
+    [records, activeEvent, mode]
+  );
+  const trackedStock = stockRows.filter((s) => s.stock != null);
+
+  const importMapped = useMemo(
+    () =>
+      importDraft ? mapImportRows(importDraft.rows, importDraft.fields, importDraft.mapping) : [],
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [importDraft?.rows, importDraft?.mapping, scanProfile]
+  );
+  const importReport = useMemo(
+    () =>
+      validateImportRows(importMapped, { mode, profile: scanProfile, lines: importDraft?.lines }),
+    [importMapped, mode, scanProfile, importDraft?.lines]
+  );
+  const importErrorCount = importReport.errorRows.size;
+  const importWarningCount = importReport.issues.filter((p) => p.level === "warning").length;
+  const importIncoming = useMemo(
+    () => buildIncoming(importMapped, importReport.errorRows),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [importMapped, importReport]
+  );
+  const importPlan = useMemo(
+    () => (importDraft ? planImport(records, importIncoming, importDraft.strategy) : null),
+    [importDraft, importIncoming, records]
+  );
+
+  const extraKeys = useMemo(() => collectExtraKeys(records), [records]);
 
   const filteredRecords = useMemo(() => {
     const q = query.trim().toLowerCase();
     if (!q) return records;
+
+    // "grade:10" filters on a custom field; anything else searches name, ID and custom fields.
+    const m = q.match(/^([^:]+):\s*(.*)$/);
+    const fieldKey = m && extraKeys.find((k) => k.toLowerCase() === m[1].trim());
+    if (fieldKey) {
+      const want = m[2].trim();
+      return records.filter((r) =>
+        String(r.extra?.[fieldKey] ?? "").toLowerCase().includes(want)
+      );
+    }
+
     return records.filter((r) => {
       const name = String(r.name ?? "").toLowerCase();
       const id = String(r.studentId ?? "").toLowerCase();
-      return name.includes(q) || id.includes(q);
+      const extra = Object.values(r.extra || {}).join(" ").toLowerCase();
+      return name.includes(q) || id.includes(q) || extra.includes(q);
     });
-  }, [records, query]);
+  }, [records, query, extraKeys]);
+
+  function chooseQrSize(key) {
+    setQrSize(key);
+    saveSetting("qrSize", key);
+  }
+
+  // Sync/room link as an inline SVG QR with size options and a fullscreen view.
+  function renderQr(text, label) {
+    const qr = qrSvg(text);
+    if (!qr) return <div style={{ fontWeight: 800, opacity: 0.8 }}>Link too long for a QR code</div>;
+    const px = (QR_SIZES.find((s) => s.key === qrSize) || QR_SIZES[1]).px;
+    return (
+      <div style={{ marginTop: 14, display: "grid", placeItems: "center", gap: 8 }}>
+        <svg
+          role="img"
+          aria-label={label}
+          viewBox={`0 0 ${qr.size} ${qr.size}`}
+          shapeRendering="crispEdges"
+          style={{ ...styles.qrImg, width: px, height: px, cursor: "zoom-in" }}
+          onClick={() => setQrFullscreen({ text, label })}
+        >
+          <rect width={qr.size} height={qr.size} fill="#fff" />
+          <path d={qr.path} fill="#000" />
+        </svg>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          {QR_SIZES.map((s) => (
+            <button
+              key={s.key}
+              style={{
+                ...styles.chip,
+                background: qrSize === s.key ? "#111827" : "transparent",
+              }}
+              onClick={() => chooseQrSize(s.key)}
+            >
+              {s.label}
+            </button>
+          ))}
+          <button style={styles.chip} onClick={() => setQrFullscreen({ text, label })}>
+            ⛶ Show
+          </button>
+        </div>
+      </div>
+    );
+  }
 
   function showBanner(text, type = "ok", seconds = 1.5) {
     setBanner({ text, type });
@@ -123,6 +408,36 @@ export default function App() {
     bannerTimer.current = setTimeout(() => setBanner(null), seconds * 1000);
   }
 
+  // Scan results. kind: success | duplicate | notfound
+  function notifyScan(text, kind, seconds) {
+    if (!rapid.enabled) {
+      showBanner(text, kind === "success" ? "ok" : "bad", seconds);
+      return;
+    }
+    playFeedback(kind, rapid);
+    setToast({ text, kind });
+    if (toastTimer.current) clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setToast(null), (Number(rapid.toastSeconds) || 1) * 1000);
+    rapidSeq.current += 1;
+    const entry = {
+      id: rapidSeq.current,
+      text: text.split("\n").filter(Boolean).join(" • "),
+      kind,
+      stamp: nowStamp(),
+    };
+    const keep = Math.max(0, Number(rapid.historySize) || 0);
+    setRapidLog((log) => [entry, ...log].slice(0, keep));
+  }
+
+  function toggleRapid() {
+    unlockAudio();
+    const next = { ...rapid, enabled: !rapid.enabled };
+    saveRapidSettings(next);
+    setRapid(next);
+    setRapidLog([]);
+    showBanner(next.enabled ? "Rapid scan on" : "Rapid scan off", "ok", 0.8);
+  }
+
   function dismissWelcome() {
     if (screen !== "welcome") return;
     setWelcomeStage("out");
@@ -132,42 +447,177 @@ export default function App() {
   }
 
 
-  const buildSyncPayload = useCallback(async () => {
-    // Sync EVERYTHING across modes so switching devices mid-lunch just works.
-    const all = await db.records.toArray();
-    return {
-      records: all,
-      mode: "all",
-      exportedAt: Date.now(),
-    };
-  }, []);
-
+  // Sync sends EVERYTHING across events so switching devices mid-lunch just works;
+  // the receiving side merges (see sync.js) instead of replacing its own data.
   const applySyncPayload = useCallback(async (payload) => {
-    if (!payload || !Array.isArray(payload.records)) {
-      showBanner("Sync data invalid", "bad", 1.5);
-      return;
-    }
-    await db.records.clear();
-    await db.records.bulkAdd(payload.records);
+    await takeSnapshot("sync");
+    const report = await mergeSyncPayload(payload);
+    await loadEvents();
     await loadRecords();
+    setSyncReport(report);
+    setSyncStep("report");
     showBanner("✅ Synced!", "ok", 1.2);
   }, []);
 
-  const makeSyncLink = useCallback((code) => {
+  const makeSyncLink = useCallback((code, secret) => {
+    const base = typeof window !== "undefined" ? window.location.origin : "";
+    return `${base}/?sync=${encodeURIComponent(code)}#k=${secret}`;
+  }, []);
+
+  const syncCodeOptsRef = useRef(syncCodeOpts);
+  syncCodeOptsRef.current = syncCodeOpts;
+  const syncScopeRef = useRef(syncScope);
+  syncScopeRef.current = syncScope;
+
+  function updateSyncScope(next) {
+    const s = normalizeScope(next);
+    // Picking every event is the same as "All" (and keeps covering events added later).
+    if (s.eventUids && (!s.eventUids.length || s.eventUids.length === events.length)) {
+      s.eventUids = null;
+    }
+    setSyncScope(s);
+    saveSetting("syncScope", s);
+  }
+
+  function toggleScopeEvent(uid) {
+    const current = syncScope.eventUids || [];
+    const next = current.includes(uid) ? current.filter((u) => u !== uid) : [...current, uid];
+    updateSyncScope({ ...syncScope, eventUids: next });
+  }
+
+  function renderSyncScope(note) {
+    return (
+      <div style={styles.reportBox}>
+        <div style={styles.settingLabel}>Send</div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          <button
+            style={{
+              ...styles.chip,
+              background: !syncScope.eventUids ? "#111827" : "transparent",
+            }}
+            onClick={() => updateSyncScope({ ...syncScope, eventUids: null })}
+          >
+            All lists
+          </button>
+          {events.map((ev) => (
+            <button
+              key={ev.id}
+              style={{
+                ...styles.chip,
+                background: syncScope.eventUids?.includes(ev.uid) ? "#111827" : "transparent",
+              }}
+              onClick={() => toggleScopeEvent(ev.uid)}
+            >
+              {ev.name}
+              <span style={{ opacity: 0.6 }}> · {MODE_LABELS[ev.mode]}</span>
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+          <button
+            style={{ ...styles.chip, background: syncScope.progress ? "#111827" : "transparent" }}
+            onClick={() => updateSyncScope({ ...syncScope, progress: !syncScope.progress })}
+          >
+            {syncScope.progress ? "✓" : "✕"} Progress
+          </button>
+          <button
+            style={{ ...styles.chip, background: syncScope.extra ? "#111827" : "transparent" }}
+            onClick={() => updateSyncScope({ ...syncScope, extra: !syncScope.extra })}
+          >
+            {syncScope.extra ? "✓" : "✕"} Custom fields
+          </button>
+        </div>
+        {note ? (
+          <div style={{ marginTop: 6, opacity: 0.7, fontWeight: 800, fontSize: 12 }}>{note}</div>
+        ) : null}
+      </div>
+    );
+  }
+
+  function setSyncCodeOpt(key, value) {
+    const next = { ...syncCodeOpts, [key]: value };
+    setSyncCodeOpts(next);
+    saveSetting("syncCodeOptions", next);
+  }
+
+  // Countdown + "redeemed by N" while the Create step shows a live code.
+  useEffect(() => {
+    const info = syncCodeInfo;
+    if (!syncOpen || syncStep !== "create" || !info || info.state !== "active") return;
+    const tick = setInterval(() => setSyncClock(Date.now()), 1000);
+    let busy = false;
+    const poll = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        const r = await fetch(
+          `/api/sync/status?code=${encodeURIComponent(info.code)}&token=${encodeURIComponent(info.token)}`
+        );
+        const data = await r.json().catch(() => null);
+        if (r.status === 404) {
+          setSyncCodeInfo((c) => (c && c.code === info.code ? { ...c, state: "expired" } : c));
+        } else if (r.ok && data) {
+          setSyncCodeInfo((c) =>
+            c && c.code === info.code
+              ? {
+                  ...c,
+                  uses: data.uses,
+                  state: data.state,
+                  expiresAt: Date.now() + data.expiresInSec * 1000,
+                }
+              : c
+          );
+        }
+      } catch {
+        // offline: keep the countdown going and try again
+      } finally {
+        busy = false;
+      }
+    }, 4000);
+    return () => {
+      clearInterval(tick);
+      clearInterval(poll);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncOpen, syncStep, syncCodeInfo?.code, syncCodeInfo?.state]);
+
+  async function revokeSyncCode() {
+    const info = syncCodeInfo;
+    if (!info || !window.confirm(`Revoke code ${info.code}? Devices can no longer use it.`)) return;
+    try {
+      const r = await fetch("/api/sync/revoke", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code: info.code, token: info.token }),
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok) throw new Error(data?.error || "Revoke failed");
+      setSyncCodeInfo((c) => (c ? { ...c, state: data.state } : c));
+      showBanner("Code revoked", "ok", 1.0);
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.4);
+    }
+  }
+
+  const makeRoomLink = useCallback((code, secret) => {
     const base = typeof window !== "undefined" ? window.location.origin : "";
-    return `${base}/?sync=${encodeURIComponent(code)}`;
+    return `${base}/?room=${encodeURIComponent(code)}#k=${secret}`;
   }, []);
 
   const createSyncCode = useCallback(async () => {
     setSyncBusy(true);
     setSyncMsg("");
     setSyncCreatedCode("");
+    setSyncSecret("");
+    setSyncCodeInfo(null);
     try {
-      const payload = await buildSyncPayload();
+      const secret = makeSyncSecret();
+      const payload = await buildSyncPayload(syncScopeRef.current);
+      const cipher = await encryptPayload(payload, secret);
       const r = await fetch("/api/sync/create", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+        body: JSON.stringify({ cipher, ...syncCodeOptsRef.current }),
       });
       const txt = await r.text();
       let data = null;
@@ -178,20 +628,33 @@ export default function App() {
       }
       if (!r.ok) throw new Error(data?.error || txt || "Create failed");
       setSyncCreatedCode(String(data.code || ""));
+      setSyncSecret(secret);
+      setSyncCodeInfo({
+        code: String(data.code || ""),
+        token: data.manageToken,
+        expiresAt: Date.now() + data.expiresInSec * 1000,
+        maxUses: data.maxUses,
+        uses: 0,
+        state: "active",
+      });
       setSyncMsg("Code ready");
     } catch (e) {
       setSyncMsg(String(e?.message || e));
     } finally {
       setSyncBusy(false);
     }
-  }, [buildSyncPayload]);
+  }, []);
 
-  const redeemSyncCode = useCallback(async (code) => {
+  const redeemSyncCode = useCallback(async (code, secret) => {
     const c = String(code || "").trim();
     if (!/^\d{6}$/.test(c)) {
       setSyncMsg("Enter a 6-digit code");
       return;
     }
+    if (!isSyncSecret(secret)) {
+      setSyncMsg("Enter the 22-character key too (it's in the link / QR)");
+      return;
+    }
     setSyncBusy(true);
     setSyncMsg("");
     try {
@@ -204,10 +667,9 @@ export default function App() {
         // ignore
       }
       if (!r.ok) throw new Error(data?.error || txt || "Sync failed");
-      await applySyncPayload(data);
-      setSyncOpen(false);
-      setSyncStep("choose");
+      await applySyncPayload(await decryptPayload(data?.cipher, secret));
       setSyncEnterCode("");
+      setSyncEnterKey("");
     } catch (e) {
       setSyncMsg(String(e?.message || e));
     } finally {
@@ -215,17 +677,30 @@ export default function App() {
     }
   }, [applySyncPayload]);
 
-  // Auto-open Enter flow for links like /?sync=123456
+  // Auto-open Enter flow for links like /?sync=123456 (or the room screen for /?room=)
   useEffect(() => {
     try {
       if (typeof window === "undefined") return;
       const url = new URL(window.location.href);
       const code = url.searchParams.get("sync");
+      const roomCode = url.searchParams.get("room");
+      const { secret } = parseSyncLink(url.hash);
       if (code && /^\d{6}$/.test(code)) {
         setSyncOpen(true);
         setSyncStep("enter");
         setSyncEnterCode(code);
+        setSyncEnterKey(secret);
+      } else if (roomCode && /^\d{6}$/.test(roomCode)) {
+        setSyncOpen(true);
+        setSyncStep("room");
+        setSyncEnterCode(roomCode);
+        setSyncEnterKey(secret);
+      }
+      if (code || roomCode) {
+        // Drop the key from the address bar / history as well.
         url.searchParams.delete("sync");
+        url.searchParams.delete("room");
+        url.hash = "";
         window.history.replaceState({}, "", url.toString());
       }
     } catch {
@@ -282,14 +757,17 @@ export default function App() {
             return;
           }
           const codes = await detector.detect(vid);
-          if (codes && codes[0] && codes[0].rawValue) {
+          const frames = (codes || []).filter((c) => isTransferFrame(c.rawValue));
+          if (frames.length && qrReceiverRef.current) {
+            frames.forEach((c) => qrFrameRef.current?.(String(c.rawValue)));
+          } else if (codes && codes[0] && codes[0].rawValue) {
             const raw = String(codes[0].rawValue || "").trim();
-            let found = raw;
-            const m = raw.match(/\bsync=(\d{6})\b/);
-            if (m) found = m[1];
+            const link = raw.includes("room=") ? parseSyncLink(raw, "room") : parseSyncLink(raw);
+            const found = link.code || raw;
             const d = found.match(/^\d{6}$/) ? found : "";
             if (d) {
               setSyncEnterCode(d);
+              if (link.secret) setSyncEnterKey(link.secret);
               stopQrScan();
               setQrScanOpen(false);
               return;
@@ -313,6 +791,73 @@ export default function App() {
     if (!qrScanOpen) stopQrScan();
   }, [qrScanOpen, stopQrScan]);
 
+  // ---- Offline transfer (animated QR) ----
+  async function startQrSend() {
+    setSyncStep("qrSend");
+    setSyncMsg("");
+    setQrFrames(null);
+    setQrFrameIdx(0);
+    try {
+      setQrFrames(await encodeFrames(await buildSyncPayload(syncScopeRef.current)));
+    } catch (e) {
+      setSyncMsg(String(e?.message || e));
+    }
+  }
+
+  function chooseQrSpeed(key) {
+    setQrSpeed(key);
+    saveSetting("qrSpeed", key);
+  }
+
+  // A new scope means a new sequence.
+  useEffect(() => {
+    if (syncOpen && syncStep === "qrSend") startQrSend();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncScope]);
+
+  // Cycle frames while the sender screen is up.
+  useEffect(() => {
+    const showing = syncOpen && syncStep === "qrSend";
+    if (!showing || !qrFrames || qrFrames.length < 2) return;
+    const ms = (FRAME_SPEEDS.find((s) => s.key === qrSpeed) || FRAME_SPEEDS[1]).ms;
+    const t = setInterval(() => setQrFrameIdx((i) => (i + 1) % qrFrames.length), ms);
+    return () => clearInterval(t);
+  }, [syncOpen, syncStep, qrFrames, qrSpeed]);
+
+  function startQrReceive() {
+    setSyncStep("qrReceive");
+    setSyncMsg("");
+    if (!qrReceiverRef.current) {
+      qrReceiverRef.current = createFrameReceiver();
+      setQrRecv({ have: 0, total: 0, done: false });
+    }
+    startQrScan();
+  }
+
+  function resetQrReceive() {
+    qrReceiverRef.current = null;
+    setQrRecv(null);
+  }
+
+  async function handleTransferFrame(raw) {
+    const rx = qrReceiverRef.current;
+    if (!rx) return;
+    const p = rx.add(raw);
+    setQrRecv(p);
+    if (!p.done) return;
+    qrReceiverRef.current = null;
+    stopQrScan();
+    setQrScanOpen(false);
+    try {
+      // Same merge path as a code sync, so nothing local is lost.
+      await applySyncPayload(await rx.assemble());
+      setQrRecv(null);
+    } catch (e) {
+      setSyncMsg(String(e?.message || e));
+    }
+  }
+  qrFrameRef.current = handleTransferFrame;
+
 
   // Welcome: 3 seconds then fade out (tap anywhere also dismisses)
   useEffect(() => {
@@ -328,15 +873,183 @@ export default function App() {
     };
   }, [screen]);
 
+  async function loadEvents() {
+    await ensureDefaultEvents();
+    const all = await listEvents();
+    setEvents(all);
+
+    // Keep the current event if it is still open, otherwise fall back to the first open one.
+    const currentId = activeEventIdRef.current;
+    const current =
+      all.find((e) => e.id === currentId && !e.archived) || all.find((e) => !e.archived);
+    const nextId = current ? current.id : null;
+    if (nextId !== currentId) {
+      activeEventIdRef.current = nextId;
+      setActiveEventId(nextId);
+    }
+    return all;
+  }
+
   async function loadRecords() {
-    const rows = await db.records.where({ mode }).toArray();
+    const eventId = activeEventIdRef.current;
+    if (eventId == null) {
+      setRecords([]);
+      return;
+    }
+    const rows = await db.records.where({ eventId }).toArray();
     setRecords(rows);
   }
 
   useEffect(() => {
+    if (screen === "app") loadEvents();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen]);
+
+  useEffect(() => {
+    saveSetting("activeEventId", activeEventId);
     if (screen === "app") loadRecords();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [screen, mode]);
+  }, [screen, activeEventId]);
+
+  // ---- EVENTS (create / rename / switch / archive / delete) ----
+  async function addEvent() {
+    try {
+      const id = await createEvent(newEventName, newEventMode);
+      setNewEventName("");
+      activeEventIdRef.current = id;
+      setActiveEventId(id);
+      await loadEvents();
+      setEventsOpen(false);
+      showBanner(`Created ${newEventName.trim()}`, "ok", 1.0);
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.4);
+    }
+  }
+
+  async function promptRenameEvent(ev) {
+    const name = window.prompt("Rename event", ev.name);
+    if (name == null) return;
+    try {
+      await renameEvent(ev.id, name);
+      await loadEvents();
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.4);
+    }
+  }
+
+  async function toggleArchiveEvent(ev) {
+    if (!ev.archived && openEvents.length <= 1) {
+      showBanner("Keep at least one open event", "bad", 1.4);
+      return;
+    }
+    await setEventArchived(ev.id, !ev.archived);
+    await loadEvents();
+  }
+
+  async function removeEvent(ev) {
+    if (!ev.archived && openEvents.length <= 1) {
+      showBanner("Keep at least one open event", "bad", 1.4);
+      return;
+    }
+    const ok = window.confirm(
+      `Delete "${ev.name}"? This removes the event and all of its records.`
+    );
+    if (!ok) return;
+    await deleteEvent(ev.id);
+    await loadEvents();
+  }
+
+  async function changeEventMode(m) {
+    if (!activeEvent || activeEvent.mode === m) return;
+    await setEventMode(activeEvent.id, m);
+    await loadEvents();
+    await loadRecords();
+  }
+
+  // Push/pull loop while in a live room.
+  useEffect(() => {
+    if (!room?.code) return;
+    const sync = startRoomSync({
+      onStatus: (s) => {
+        setRoomStatus((prev) => ({ ...s, lastSync: s.lastSync || prev.lastSync }));
+        if (s.closed) {
+          leaveRoom();
+          setRoom(null);
+          showBanner("Live room closed", "bad", 1.5);
+        }
+      },
+      onMerged: async () => {
+        await loadEvents();
+        await loadRecords();
+      },
+    });
+    roomSyncRef.current = sync;
+    return () => {
+      sync.stop();
+      roomSyncRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [room?.code]);
+
+  // Hands a locally changed record to the live room (no-op when not in one).
+  async function shareChange(recordId) {
+    if (!room) return;
+    await queueRecord(recordId);
+    setRoomStatus((s) => ({ ...s, pending: loadOutbox().length }));
+    roomSyncRef.current?.syncNow();
+  }
+
+  async function openRoom() {
+    setSyncBusy(true);
+    setSyncMsg("");
+    try {
+      setRoom(await createRoom());
+      showBanner("Live room open", "ok", 1.0);
+    } catch (e) {
+      setSyncMsg(String(e?.message || e));
+    } finally {
+      setSyncBusy(false);
+    }
+  }
+
+  async function enterRoom(code, secret) {
+    if (!isSyncSecret(secret)) {
+      setSyncMsg("Enter the 22-character key too (it's in the link / QR)");
+      return;
+    }
+    setSyncBusy(true);
+    setSyncMsg("");
+    try {
+      const { room: joined, report } = await joinRoom(code, secret);
+      await loadEvents();
+      await loadRecords();
+      setRoom(joined);
+      setSyncEnterCode("");
+      setSyncEnterKey("");
+      showBanner(
+        `Joined room ${joined.code}\n+${report.added.length} new, ${report.updated.length} updated`,
+        "ok",
+        1.5
+      );
+    } catch (e) {
+      setSyncMsg(String(e?.message || e));
+    } finally {
+      setSyncBusy(false);
+    }
+  }
+
+  function exitRoom() {
+    const pending = loadOutbox().length;
+    if (
+      pending &&
+      !window.confirm(`${pending} scan(s) have not reached the room yet. Leave anyway?`)
+    ) {
+      return;
+    }
+    leaveRoom();
+    setRoom(null);
+    setRoomStatus({ pending: 0, lastSync: 0, error: "" });
+  }
 
   useEffect(() => {
     function onOn() {
@@ -356,79 +1069,228 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Auto-submit on exactly 7 digits in Events mode (typing)
+  // Auto-submit a complete ID (per scan profile) in Events mode (typing)
   useEffect(() => {
     const v = scan.trim();
-    if (mode === "events" && /^\d{7}$/.test(v)) {
+    // Wedge scanners end with Enter, so typing auto-submit would double-fire.
+    if (wedge.enabled) return;
+    if (mode === "events" && scanProfile.autoSubmit && isCompleteId(v, scanProfile)) {
       const t = setTimeout(() => handleSubmit(v), 50);
       return () => clearTimeout(t);
     }
-  }, [scan, mode]); // eslint-disable-line
+  }, [scan, mode, scanProfile, wedge.enabled]); // eslint-disable-line
+
+  // Global keystroke-burst capture for HID scanners
+  useEffect(() => {
+    if (!wedge.enabled || screen !== "app") return;
+    return attachWedge(wedge, (value) => handleSubmitRef.current(value));
+  }, [wedge, screen]);
+
+  function toggleWedge() {
+    const next = { ...wedge, enabled: !wedge.enabled };
+    saveWedgeSettings(next);
+    setWedge(next);
+    showBanner(next.enabled ? "Wedge scanner on" : "Wedge scanner off", "ok", 0.8);
+  }
+
+  function normalizeId(id) {
+    return normalizeStoredId(id, scanProfileRef.current);
+  }
 
   // CSV import/export
-  async function importCSV(file) {
-    const rows = (await parseCSV(file)).map((r) => {
-      const ID = normalizeId(r.ID);
-      const Name = String(r.Name ?? "").trim();
-      const Type = r.Type ?? r.Size ?? "";
-      return {
-        ID,
-        Name,
-        Type,
-        Scanned: r.Scanned ?? "",
-        Received: r.Received ?? "",
-        Timestamp: r.Timestamp ?? "",
-      };
+  function mapImportRows(rawRows, fields, mapping) {
+    const extras = extraColumns(fields, mapping);
+    return rawRows.map((raw) => {
+      const r = applyMapping(raw, mapping, extras);
+      return { ...r, ID: normalizeId(r.ID) };
     });
+  }
 
-    await db.records.where({ mode }).delete();
-
-    const toInsert = rows
-      .filter((r) => r.ID || r.Name)
+  // Rows with validation errors are always skipped; the user can abort instead.
+  function buildIncoming(mapped, errorRows) {
+    return mapped
+      .filter((r, i) => (r.ID || r.Name) && !errorRows.has(i))
       .map((r) => ({
-        mode,
         studentId: r.ID,
         name: r.Name,
         type: r.Type,
-        scanned: String(r.Scanned).toLowerCase() === "yes",
-        received: String(r.Received).toLowerCase() === "yes",
+        scanned: isYes(r.Scanned),
+        received: isYes(r.Received),
         timestamp: r.Timestamp || "",
+        extra: r.Extra,
       }));
+  }
 
-    await db.records.bulkAdd(toInsert);
-    await loadRecords();
-    showBanner(`Imported ${toInsert.length} rows`, "ok", 1.5);
+  function downloadImportProblems() {
+    downloadCSV(
+      `${fileSlug(String(importDraft?.fileName || "").replace(/\.csv$/i, ""))}-problems.csv`,
+      importReport.issues.map((p) => ({
+        Row: p.row,
+        Level: p.level,
+        Field: p.field,
+        Value: p.value,
+        Problem: p.message,
+      })),
+      ["Row", "Level", "Field", "Value", "Problem"]
+    );
+  }
+
+  async function importCSV(file) {
+    if (activeEventIdRef.current == null) {
+      showBanner("Pick an event first", "bad", 1.4);
+      return;
+    }
+
+    const { rows, fields, lines } = await parseCSV(file);
+    if (!fields.length) {
+      showBanner("No columns found in CSV", "bad", 1.4);
+      return;
+    }
+
+    // Nothing to merge into yet: a plain replace is the same thing.
+    setImportDraft({
+      fileName: file.name,
+      fields,
+      rows,
+      lines,
+      mapping: loadMappingFor(fields),
+      strategy: records.length ? "merge" : "replace",
+      step: "map",
+    });
+  }
+
+  function setImportMapping(key, column) {
+    setImportDraft((d) => ({ ...d, mapping: { ...d.mapping, [key]: column } }));
+  }
+
+  async function commitImport() {
+    const eventId = activeEventIdRef.current;
+    if (!importDraft || !importPlan || eventId == null) return;
+    setImportBusy(true);
+    try {
+      await takeSnapshot("import", { eventId });
+      await applyImportPlan(importPlan, { eventId, mode });
+      rememberMapping(importDraft.fields, importDraft.mapping);
+      await loadRecords();
+      setImportDraft(null);
+      const { added, updated, removed } = importPlan;
+      showBanner(
+        importPlan.strategy === "replace"
+          ? `Imported ${added.length} rows`
+          : `Imported: ${added.length} new, ${updated.length} updated` +
+              (importPlan.strategy === "merge" && removed.length
+                ? `\n${removed.length} not on roster`
+                : ""),
+        "ok",
+        1.5
+      );
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.6);
+    } finally {
+      setImportBusy(false);
+    }
+  }
+
+  // Custom fields go after the fixed columns; a name clashing with a fixed column is dropped.
+  function withExtras(row, r, baseFields) {
+    const out = { ...row };
+    extraKeys.forEach((k) => {
+      if (!baseFields.includes(k)) out[k] = r.extra?.[k] ?? "";
+    });
+    return out;
+  }
+
+  function exportFields(baseFields) {
+    return [...baseFields, ...extraKeys.filter((k) => !baseFields.includes(k))];
+  }
+
+  function exportStockCSV() {
+    downloadCSV(
+      `${fileSlug(title)}-stock.csv`,
+      stockRows.map((s) => ({
+        Type: typeLabel(s.type),
+        Stock: s.stock ?? "",
+        Ordered: s.ordered,
+        "Handed out": s.handedOut,
+        "Still owed": s.owed,
+        "Stock left": s.remaining ?? "",
+        Short: s.short ?? "",
+      })),
+      ["Type", "Stock", "Ordered", "Handed out", "Still owed", "Stock left", "Short"]
+    );
   }
 
   async function exportCSV() {
     const rows = records;
 
     if (mode === "events") {
+      const base = ["ID", "Name", "Scanned", "Timestamp"];
       downloadCSV(
-        `events-export.csv`,
-        rows.map((r) => ({
-          ID: r.studentId ?? "",
-          Name: r.name ?? "",
-          Scanned: r.scanned ? "Yes" : "No",
-          Timestamp: r.timestamp ?? "",
-        })),
-        ["ID", "Name", "Scanned", "Timestamp"]
+        `${fileSlug(title)}-export.csv`,
+        rows.map((r) =>
+          withExtras(
+            {
+              ID: r.studentId ?? "",
+              Name: r.name ?? "",
+              Scanned: r.scanned ? "Yes" : "No",
+              Timestamp: r.timestamp ?? "",
+            },
+            r,
+            base
+          )
+        ),
+        exportFields(base)
       );
     } else {
+      const base = ["ID", "Name", "Type", "Received", "Timestamp"];
       downloadCSV(
-        `distribution-export.csv`,
-        rows.map((r) => ({
-          ID: r.studentId ?? "",
-          Name: r.name ?? "",
-          Type: r.type ?? "",
-          Received: r.received ? "Yes" : "No",
-          Timestamp: r.timestamp ?? "",
-        })),
-        ["ID", "Name", "Type", "Received", "Timestamp"]
+        `${fileSlug(title)}-export.csv`,
+        rows.map((r) =>
+          withExtras(
+            {
+              ID: r.studentId ?? "",
+              Name: r.name ?? "",
+              Type: r.type ?? "",
+              Received: r.received ? "Yes" : "No",
+              Timestamp: r.timestamp ?? "",
+            },
+            r,
+            base
+          )
+        ),
+        exportFields(base)
       );
     }
   }
 
+  function openInventory() {
+    const stock = {};
+    stockRows.forEach((s) => {
+      stock[s.type] = s.stock == null ? "" : String(s.stock);
+    });
+    setStockDraft({
+      stock,
+      lowStockAt: String(activeEvent?.lowStockAt ?? LOW_STOCK_DEFAULT),
+      newType: "",
+    });
+    setInventoryOpen(true);
+  }
+
+  function addStockType() {
+    const t = typeKey(stockDraft.newType);
+    if (!t || t in stockDraft.stock) return;
+    setStockDraft({ ...stockDraft, stock: { ...stockDraft.stock, [t]: "" }, newType: "" });
+  }
+
+  async function saveInventory() {
+    const eventId = activeEventIdRef.current;
+    if (eventId == null || !stockDraft) return;
+    await saveEventStock(eventId, stockDraft.stock, stockDraft.lowStockAt);
+    await loadEvents();
+    setInventoryOpen(false);
+    showBanner("Inventory saved", "ok", 1.2);
+  }
+
   function exportTemplate() {
     if (mode === "events") {
       downloadCSV(
@@ -441,7 +1303,7 @@ export default function App() {
             Timestamp: "",
           },
         ],
-        ["ID", "Name", "Scanned", "Timestamp"]
+        exportFields(["ID", "Name", "Scanned", "Timestamp"])
       );
     } else {
       downloadCSV(
@@ -455,36 +1317,51 @@ export default function App() {
             Timestamp: "",
           },
         ],
-        ["ID", "Name", "Type", "Received", "Timestamp"]
+        exportFields(["ID", "Name", "Type", "Received", "Timestamp"])
       );
     }
   }
 
 
-  async function handleSubmit(raw) {
-    const value = String(raw ?? "").trim();
+  // Scanned/typed values go through the profile's extraction rule; list taps pass stored IDs.
+  async function handleSubmit(raw, { extract = true } = {}) {
+    const value = extract
+      ? extractId(raw, scanProfileRef.current)
+      : String(raw ?? "").trim();
     if (!value) return;
 
-    const list = await db.records.where({ mode }).toArray();
+    const eventId = activeEventIdRef.current;
+    if (eventId == null) return;
+    const list = await db.records.where({ eventId }).toArray();
     await processValueAgainstList(value, list);
     setScan("");
   }
+  const handleSubmitRef = useRef(handleSubmit);
+  handleSubmitRef.current = handleSubmit;
 
   async function processValueAgainstList(value, list) {
+    const eventId = activeEventIdRef.current;
+    const stamp = nowStamp();
+
     if (mode === "events") {
       const id = normalizeId(value);
       const target = list.find((r) => (r.studentId ?? "") === id);
       if (!target) {
-        showBanner("Not found!", "bad", 1.2);
+        await logScan({ eventId, value, outcome: "not_found", stamp });
+        notifyScan("Not found!", "notfound", 1.2);
         return;
       }
       if (target.scanned) {
-        showBanner("Already checked in!", "bad", 1.2);
+        await logScan({ eventId, value, outcome: "duplicate", record: target, stamp });
+        notifyScan(`Already checked in!\n${target.name || ""}`, "duplicate", 1.2);
         return;
       }
-      await db.records.update(target.id, { scanned: true, timestamp: nowStamp() });
+      await db.records.update(target.id, trackChanges(target, { scanned: true, timestamp: stamp }));
+      await logScan({ eventId, value, outcome: "checked_in", record: target, prev: target, stamp });
       await loadRecords();
-      showBanner(`✅ Thank you\n${target.name || ""}`, "ok", 1.2);
+      shareChange(target.id);
+      const info = formatExtra(target.extra);
+      notifyScan(`✅ Thank you\n${target.name || ""}${info ? `\n${info}` : ""}`, "success", 1.2);
       return;
     }
 
@@ -498,41 +1375,182 @@ export default function App() {
     );
 
     if (!matches.length) {
-      showBanner("Not ordered!", "bad", 1.6);
+      await logScan({ eventId, value, outcome: "not_found", stamp });
+      notifyScan("Not ordered!", "notfound", 1.6);
       return;
     }
 
     const total = matches.length;
     const receivedCount = matches.filter((r) => r.received).length;
-    const next = matches.find((r) => !r.received);
+    const waiting = matches.filter((r) => !r.received);
 
-    if (!next) {
-      showBanner("All items already received!", "bad", 1.8);
+    if (!waiting.length) {
+      await logScan({ eventId, value, outcome: "all_received", record: matches[0], stamp });
+      notifyScan(`All items already received!\n${matches[0].name || ""}`, "duplicate", 1.8);
       return;
     }
 
-    await db.records.update(next.id, { received: true, timestamp: nowStamp() });
+    // Prefer a waiting item whose type is still in stock (untracked types always are). The
+    // count can be off from what's in the box, so running out only warns, never blocks.
+    const event = await db.events.get(eventId);
+    const left = (r) => remainingFor(list, event, r.type);
+    const next = waiting.find((r) => left(r) == null || left(r) > 0) || waiting[0];
+    const outOfStock = left(next) != null && left(next) <= 0;
+    const leftAfter = left(next) == null ? null : left(next) - 1;
+
+    await db.records.update(next.id, trackChanges(next, { received: true, timestamp: stamp }));
+    await logScan({ eventId, value, outcome: "received", record: next, prev: next, stamp });
+    if (outOfStock) {
+      await logScan({ eventId, value, outcome: "out_of_stock", record: next, stamp });
+    }
     await loadRecords();
+    shareChange(next.id);
     const nowReceived = receivedCount + 1;
-    showBanner(
-      `✅ Thank you ${next.name || ""}\nType: ${next.type || ""}\nReceived: ${nowReceived} of ${total}`,
-      "ok",
+    const info = formatExtra(next.extra);
+    const level = stockLevel(leftAfter, event?.lowStockAt ?? LOW_STOCK_DEFAULT);
+    const stockNote = outOfStock
+      ? `\n⚠️ ${typeLabel(typeKey(next.type))} should be out of stock; check the inventory count`
+      : level === "out"
+        ? `\n⚠️ That was the last ${typeLabel(typeKey(next.type))}`
+        : level === "low"
+          ? `\n⚠️ Only ${leftAfter} ${typeLabel(typeKey(next.type))} left`
+          : "";
+    notifyScan(
+      `✅ Thank you ${next.name || ""}\nType: ${next.type || ""}\nReceived: ${nowReceived} of ${total}` +
+        (info ? `\n${info}` : "") +
+        stockNote,
+      outOfStock ? "duplicate" : "success",
       2.5
     );
   }
 
-  async function resetAll() {
-    const ok = window.confirm(
-      "Are you sure you want to reset? This will delete all records (including imported CSV data)."
-    );
-    if (!ok) return;
-
-    await db.records.clear();
-    setRecords([]);
-    showBanner("Cleared all records.", "ok", 1.5);
+  // ---- SCAN HISTORY / UNDO ----
+  async function loadHistory() {
+    const eventId = activeEventIdRef.current;
+    setScanHistory(eventId == null ? [] : await listScans(eventId));
   }
 
-  // ---- QUAGGA2 LIVE SCANNER (CODE 39 ONLY) ----
+  async function runUndo(fn) {
+    try {
+      const { record } = await fn();
+      await loadRecords();
+      shareChange(record.id);
+      if (historyOpen) await loadHistory();
+      showBanner(`↩️ Undone\n${record.name || record.studentId || ""}`, "ok", 1.2);
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.2);
+    }
+  }
+
+  function undoLast() {
+    const eventId = activeEventIdRef.current;
+    if (eventId == null) return;
+    return runUndo(() => undoLastScan(eventId, nowStamp()));
+  }
+
+  useEffect(() => {
+    if (historyOpen) loadHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [historyOpen, activeEventId]);
+
+  async function resetAll() {
+    const eventId = activeEventIdRef.current;
+    if (eventId == null) return;
+    const ok = window.confirm(
+      `Are you sure you want to reset "${title}"? This will delete all of its records (including imported CSV data).`
+    );
+    if (!ok) return;
+
+    await takeSnapshot("reset", { eventId });
+    await db.transaction("rw", db.records, db.scans, async () => {
+      await db.records.where({ eventId }).delete();
+      await orphanScans(eventId);
+    });
+    setRecords([]);
+    showBanner("Cleared all records.", "ok", 1.5);
+  }
+
+  async function openRestorePoints() {
+    setSnapshots(await listSnapshots());
+    setSnapshotsOpen(true);
+  }
+
+  async function restorePoint(snap) {
+    const what = snap.eventId == null ? "ALL events" : `"${snap.eventNames[0] || "this event"}"`;
+    const ok = window.confirm(
+      `Restore ${what} to how it was on ${new Date(snap.createdAt).toLocaleString()}? ` +
+        "Changes since then will be replaced (a restore point of the current data is saved first)."
+    );
+    if (!ok) return;
+    try {
+      const counts = await restoreSnapshot(snap.id);
+      await loadEvents();
+      await loadRecords();
+      setSnapshots(await listSnapshots());
+      showBanner(`Restored ${counts.records} records`, "ok", 1.5);
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.6);
+    }
+  }
+
+  // ---- BACKUP FILE ----
+
+  async function saveBackup(share) {
+    setBackupBusy(true);
+    try {
+      const file = await backupFile(await buildBackup());
+      if (share && canShareFile(file)) {
+        if (await shareFile(file)) showBanner("Backup shared", "ok", 1.2);
+      } else {
+        downloadFile(file);
+        showBanner(share ? "Sharing not supported here; backup downloaded" : "Backup saved", "ok", 1.5);
+      }
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.6);
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  async function openBackupFile(file) {
+    setBackupBusy(true);
+    try {
+      const backup = await readBackupFile(file);
+      setBackupDraft({ backup, summary: summarizeBackup(backup) });
+    } catch (e) {
+      setBackupDraft(null);
+      showBanner(String(e?.message || e), "bad", 1.8);
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  async function applyBackup() {
+    if (!backupDraft) return;
+    const ok = window.confirm(
+      "Replace ALL events, records, history and settings on this device with this backup? " +
+        "A restore point of the current data (scan history included) is saved first."
+    );
+    if (!ok) return;
+    setBackupBusy(true);
+    try {
+      await restoreBackup(backupDraft.backup);
+      showBanner("Backup restored, reloading…", "ok", 1.2);
+      // Settings live in component state; a reload picks them all up.
+      setTimeout(() => window.location.reload(), 1200);
+    } catch (e) {
+      showBanner(String(e?.message || e), "bad", 1.6);
+      setBackupBusy(false);
+    }
+  }
+
+  async function removePoint(snap) {
+    if (!window.confirm("Delete this restore point?")) return;
+    await deleteSnapshot(snap.id);
+    setSnapshots(await listSnapshots());
+  }
+
+  // ---- LIVE SCANNER (native BarcodeDetector, Quagga2 fallback) ----
 
   async function refreshVideoInputs() {
     try {
@@ -551,43 +1569,27 @@ export default function App() {
   }
 
   function stopScanner() {
+    const decoder = decoderRef.current;
+    decoderRef.current = null;
     try {
-      if (!quaggaRunningRef.current) return;
-      Quagga.offDetected(onDetected);
-      Quagga.offProcessed(onProcessed);
-      Quagga.stop();
+      if (decoder) decoder.stop();
     } catch {
       // ignore
     } finally {
-      quaggaRunningRef.current = false;
       lastDetectedRef.current = { text: "", t: 0 };
       focusTrackRef.current = null;
       focusCapsRef.current = null;
       setFocusSupported(false);
+      setCamControls(null);
+      setScannerEngine("");
       setScannerStatus("idle");
     }
   }
 
-  function extractStudentIdFromBarcode(code) {
-    const raw = String(code ?? "").trim().replace(/^\*+|\*+$/g, "");
-
-    const m7 = raw.match(/\b(\d{7})\b/);
-    if (m7) return m7[1];
-
-    const digits = raw.replace(/\D/g, "");
-
-    if (digits.length === 7) return digits;
-    if (digits.length === 6) return "0" + digits;
-    if (digits.length > 7) return digits.slice(-7);
-
-    return raw;
-  }
-
-  function onDetected(result) {
-    const code = result?.codeResult?.code;
+  function onDetected(code) {
     if (!code) return;
 
-    const id = extractStudentIdFromBarcode(code);
+    const id = extractId(code, scanProfileRef.current);
     if (!id) return;
 
     const now = Date.now();
@@ -595,152 +1597,109 @@ export default function App() {
     if (id === last.text && now - last.t < 1400) return;
 
     lastDetectedRef.current = { text: id, t: now };
-    handleSubmit(id);
+    handleSubmit(id, { extract: false });
   }
+  // Engines keep the callback they were started with; route through a ref so it stays current.
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
 
-  function onProcessed(result) {
-    try {
-      processedCountRef.current += 1;
-      if (scannerStatus !== "running") setScannerStatus("running");
-
-      const ctx = Quagga.canvas?.ctx?.overlay;
-      const canvas = Quagga.canvas?.dom?.overlay;
-      if (!ctx || !canvas) return;
-
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-      if (result) {
-        if (result.boxes) {
-          result.boxes
-            .filter((b) => b !== result.box)
-            .forEach((box) => {
-              Quagga.ImageDebug.drawPath(box, { x: 0, y: 1 }, ctx, {
-                color: "rgba(0,255,0,0.35)",
-                lineWidth: 2,
-              });
-            });
-        }
-
-        if (result.box) {
-          Quagga.ImageDebug.drawPath(result.box, { x: 0, y: 1 }, ctx, {
-            color: "rgba(0,255,0,0.9)",
-            lineWidth: 3,
-          });
-
-          const now = Date.now();
-          if (now - lastBoxRef.current > 1200) {
-            lastBoxRef.current = now;
-            showBanner("Locked on barcode…", "ok", 0.6);
-          }
-        }
-
-        if (result.line) {
-          Quagga.ImageDebug.drawPath(result.line, { x: "x", y: "y" }, ctx, {
-            color: "rgba(255,0,0,0.9)",
-            lineWidth: 3,
-          });
-        }
+  async function startScanner() {
+    if (decoderRef.current) return;
+    setScannerStatus("starting");
 
-        if (result.codeResult?.code) {
-          onDetected({ codeResult: { code: result.codeResult.code } });
-        }
-      }
-    } catch {
-      // ignore
+    const targetEl = document.querySelector("#quagga-view");
+    if (!targetEl) {
+      setScannerStatus("error");
+      showBanner("Scanner mount missing (#quagga-view)", "bad", 2.0);
+      return;
     }
-  }
 
-  function startScanner() {
-    setScannerStatus("starting");
-    try {
-      if (quaggaRunningRef.current) return;
+    const useDeviceId = videoInputs?.[cameraIndex]?.deviceId;
+    const constraints = useDeviceId
+      ? { deviceId: { exact: useDeviceId } }
+      : { facingMode: "environment" };
+
+    const profile = scanProfileRef.current;
+    const opts = {
+      target: targetEl,
+      constraints,
+      profile,
+      onCode: (code) => onDetectedRef.current(code),
+      // The lock hint would cover the camera; rapid mode relies on the toast instead.
+      onLocked: () => {
+        if (!rapidRef.current.enabled) showBanner("Locked on barcode…", "ok", 0.6);
+      },
+    };
 
-      const targetEl = document.querySelector("#quagga-view");
-      if (!targetEl) {
-        setScannerStatus("error");
-        showBanner("Scanner mount missing (#quagga-view)", "bad", 2.0);
-        return;
+    let engine = await pickEngine(profile);
+    let decoder = createDecoder(engine);
+    decoderRef.current = decoder;
+    try {
+      try {
+        await decoder.start(opts);
+      } catch (e) {
+        if (engine !== "native" || decoderRef.current !== decoder) throw e;
+        // Native detector refused (e.g. format list changed): fall back to Quagga. The
+        // engine label in the scanner shows which one ended up running.
+        decoder.stop();
+        engine = "quagga";
+        decoder = createDecoder(engine);
+        decoderRef.current = decoder;
+        await decoder.start(opts);
       }
-
-      const useDeviceId = videoInputs?.[cameraIndex]?.deviceId;
-      const constraints = useDeviceId
-        ? { deviceId: { exact: useDeviceId } }
-        : { facingMode: "environment" };
-
-      Quagga.init(
-        {
-          numOfWorkers: Math.min(4, navigator.hardwareConcurrency || 2),
-          inputStream: {
-            type: "LiveStream",
-            target: targetEl,
-            constraints: {
-              ...constraints,
-              width: { ideal: 1920 },
-              height: { ideal: 1080 },
-              frameRate: { ideal: 30, max: 60 },
-            },
-            area: { top: "25%", right: "0%", left: "0%", bottom: "25%" },
-          },
-          locator: {
-            locate: true,
-            halfSample: false,
-            patchSize: "x-small",
-          },
-          decoder: {
-            readers: ["code_39_reader"],
-          },
-          locate: true,
-        },
-        async (err) => {
-          if (err) {
-            console.error(err);
-            setScannerStatus("error");
-            showBanner("Camera scan failed. Try HTTPS / permissions.", "bad", 2.0);
-            setScanOpen(false);
-            return;
-          }
-
-          Quagga.onProcessed(onProcessed);
-          Quagga.onDetected(onDetected);
-          Quagga.start();
-          setScannerStatus("running");
-          quaggaRunningRef.current = true;
-
-          const list = await refreshVideoInputs();
-          if (list?.length && cameraIndex >= list.length) setCameraIndex(0);
-
-          setTimeout(() => {
-            try {
-              const video = document.querySelector("#quagga-view video");
-              const stream = video?.srcObject;
-              const track = stream?.getVideoTracks?.()[0];
-              const caps = track?.getCapabilities?.();
-              focusTrackRef.current = track || null;
-              focusCapsRef.current = caps || null;
-
-              const modes = caps?.focusMode;
-              const supported = Array.isArray(modes) && modes.length > 0;
-              setFocusSupported(!!supported);
-
-              if (supported && modes.includes("continuous")) {
-                try {
-                  track.applyConstraints({ advanced: [{ focusMode: "continuous" }] });
-                } catch {
-                  // ignore
-                }
-              }
-            } catch {
-              setFocusSupported(false);
-            }
-          }, 250);
-        }
-      );
     } catch (e) {
+      decoder.stop();
+      if (decoderRef.current !== decoder) return; // closed while starting
+      decoderRef.current = null;
       console.error(e);
       setScannerStatus("error");
       showBanner("Camera scan failed. Try HTTPS / permissions.", "bad", 2.0);
       setScanOpen(false);
+      return;
+    }
+
+    // Closed or restarted while the camera was opening.
+    if (decoderRef.current !== decoder) {
+      decoder.stop();
+      return;
     }
+
+    setScannerEngine(engine);
+    setScannerStatus("running");
+
+    const list = await refreshVideoInputs();
+    if (list?.length && cameraIndex >= list.length) setCameraIndex(0);
+
+    setTimeout(() => {
+      try {
+        const video = decoder.getVideo();
+        const stream = video?.srcObject;
+        const track = stream?.getVideoTracks?.()[0];
+        const caps = track?.getCapabilities?.();
+        focusTrackRef.current = track || null;
+        focusCapsRef.current = caps || null;
+
+        const modes = caps?.focusMode;
+        const supported = Array.isArray(modes) && modes.length > 0;
+        setFocusSupported(!!supported);
+
+        if (supported && modes.includes("continuous")) {
+          try {
+            track.applyConstraints({ advanced: [{ focusMode: "continuous" }] });
+          } catch {
+            // ignore
+          }
+        }
+
+        if (track) {
+          restoreCameraPrefs(track, readControls(track)).then((controls) => {
+            if (decoderRef.current === decoder) setCamControls(controls);
+          });
+        }
+      } catch {
+        setFocusSupported(false);
+      }
+    }, 250);
   }
 
   function flipCamera() {
@@ -750,6 +1709,26 @@ export default function App() {
   }
 
 
+  async function setCamControl(key, value) {
+    const track = focusTrackRef.current;
+    const controls = camControls;
+    if (!track || !controls) return;
+    try {
+      await applyControl(track, key, value);
+      saveCameraPref(controls.deviceId, key, value);
+      setCamControls((c) =>
+        c
+          ? key === "torch"
+            ? { ...c, torchOn: value }
+            : { ...c, [key]: { ...c[key], value } }
+          : c
+      );
+    } catch {
+      const label = key === "torch" ? "Torch" : RANGE_CONTROLS.find((r) => r.key === key)?.label;
+      showBanner(`${label || key} not supported on this camera`, "bad", 1.2);
+    }
+  }
+
   async function tapToFocus() {
     const track = focusTrackRef.current;
     const caps = focusCapsRef.current;
@@ -792,6 +1771,113 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [cameraIndex]);
 
+  // ---- SCAN FROM IMAGE (photo / screenshot) ----
+  async function scanImageFile(file) {
+    if (scanOpen) {
+      showBanner("Close the camera before scanning an image", "bad", 1.4);
+      return;
+    }
+    closeImageScan();
+    const seq = imageScanSeq.current;
+    setImageScan({ busy: true });
+    try {
+      const res = await decodeImageFile(file, scanProfileRef.current);
+      if (seq !== imageScanSeq.current) {
+        if (res?.url) URL.revokeObjectURL(res.url);
+        return;
+      }
+      setImageScan({ ...res, busy: false });
+    } catch (e) {
+      if (seq !== imageScanSeq.current) return;
+      setImageScan(null);
+      showBanner(String(e?.message || e), "bad", 1.4);
+    }
+  }
+
+  function closeImageScan() {
+    imageScanSeq.current += 1;
+    setImageScan((s) => {
+      if (s?.url) URL.revokeObjectURL(s.url);
+      return null;
+    });
+  }
+
+  async function submitImageScan() {
+    const code = imageScan?.code;
+    closeImageScan();
+    if (code) await handleSubmit(code);
+  }
+
+  // ---- SCAN PROFILE SETTINGS ----
+  function openScanSettings() {
+    setProfileDraft(scanProfile);
+    setWedgeDraft(wedge);
+    setRapidDraft(rapid);
+    setProfileTest("");
+  }
+
+  function setWedgeField(key, value) {
+    setWedgeDraft((w) => ({ ...w, [key]: value }));
+  }
+
+  function setDraftExtract(key, value) {
+    setProfileDraft((p) => ({ ...p, extract: { ...p.extract, [key]: value } }));
+  }
+
+  function toggleDraftReader(key) {
+    setProfileDraft((p) => {
+      const has = p.readers.includes(key);
+      // Quagga needs at least one 1D reader.
+      if (has && p.readers.length <= 1) return p;
+      return {
+        ...p,
+        readers: has ? p.readers.filter((r) => r !== key) : [...p.readers, key],
+      };
+    });
+  }
+
+  function saveScanSettings() {
+    if (profileDraft.extract.pattern && !compilePattern(profileDraft.extract.pattern)) {
+      showBanner("Invalid regex", "bad", 1.2);
+      return;
+    }
+    const next = {
+      ...profileDraft,
+      extract: {
+        ...profileDraft.extract,
+        length: Math.max(0, Number(profileDraft.extract.length) || 0),
+        padFrom: Math.max(0, Number(profileDraft.extract.padFrom) || 0),
+      },
+    };
+    saveScanProfile(next);
+    setScanProfile(next);
+    setProfileDraft(null);
+
+    const nextWedge = {
+      ...wedgeDraft,
+      maxGap: Math.max(5, Number(wedgeDraft.maxGap) || 0),
+      minLength: Math.max(1, Number(wedgeDraft.minLength) || 0),
+    };
+    saveWedgeSettings(nextWedge);
+    setWedge(nextWedge);
+
+    const nextRapid = {
+      ...rapidDraft,
+      toastSeconds: Math.min(10, Math.max(0.3, Number(rapidDraft.toastSeconds) || 1)),
+      historySize: Math.min(50, Math.max(0, Number(rapidDraft.historySize) || 0)),
+    };
+    saveRapidSettings(nextRapid);
+    setRapid(nextRapid);
+    if (nextRapid.sound) unlockAudio();
+
+    // Formats and engine are fixed when a decoder starts, so restart a running scanner.
+    if (scanOpen) {
+      stopScanner();
+      setTimeout(() => startScanner(), 80);
+    }
+    showBanner("Scan settings saved", "ok", 0.8);
+  }
+
   if (screen === "welcome") {
     return (
       <div style={styles.welcomePage} onClick={dismissWelcome}>
@@ -862,6 +1948,27 @@ export default function App() {
         </div>
       )}
 
+      {rapid.enabled && (toast || rapidLog.length > 0) && (
+        <div style={styles.rapidPanel}>
+          {toast ? (
+            <div style={{ ...styles.toast, background: RAPID_COLORS[toast.kind] }}>
+              {toast.text}
+            </div>
+          ) : null}
+          {rapidLog.length ? (
+            <div style={styles.ticker}>
+              {rapidLog.map((e) => (
+                <div key={e.id} style={styles.tickerRow}>
+                  <span style={{ ...styles.tickerDot, background: RAPID_COLORS[e.kind] }} />
+                  <span style={{ flex: 1 }}>{e.text}</span>
+                  <span style={{ opacity: 0.6 }}>{e.stamp.slice(11)}</span>
+                </div>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      )}
+
       {syncOpen && (
         <div
           style={styles.modalOverlay}
@@ -912,6 +2019,25 @@ export default function App() {
                   >
                     Enter
                   </button>
+                  <button
+                    style={styles.btnSecondary}
+                    disabled={syncBusy}
+                    onClick={() => {
+                      setSyncStep("room");
+                      setSyncMsg("");
+                    }}
+                  >
+                    {room ? `Live room ${room.code}` : "Live room"}
+                  </button>
+                </div>
+                <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>No internet?</div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                  <button style={styles.btnSecondary} disabled={syncBusy} onClick={startQrSend}>
+                    Send by QR
+                  </button>
+                  <button style={styles.btnSecondary} disabled={syncBusy} onClick={startQrReceive}>
+                    Receive by QR
+                  </button>
                 </div>
               </div>
             )}
@@ -920,9 +2046,71 @@ export default function App() {
               <div>
                 <div style={styles.modalSubTitle}>Share this code</div>
 
-                <div style={styles.codeBox}>
+                <div
+                  style={{
+                    ...styles.codeBox,
+                    opacity: syncCodeInfo && syncCodeInfo.state !== "active" ? 0.4 : 1,
+                  }}
+                >
                   {syncCreatedCode ? syncCreatedCode : syncBusy ? "…" : "—"}
                 </div>
+                {syncSecret ? (
+                  <div style={styles.keyLine}>Key: {syncSecret}</div>
+                ) : null}
+
+                {syncCodeInfo ? (
+                  <div style={{ marginTop: 8, textAlign: "center", fontWeight: 900 }}>
+                    {syncCodeInfo.state === "active"
+                      ? (() => {
+                          const left = Math.max(
+                            0,
+                            Math.round((syncCodeInfo.expiresAt - syncClock) / 1000)
+                          );
+                          return `Expires in ${Math.floor(left / 60)}:${pad2(left % 60)}`;
+                        })()
+                      : { used: "All uses redeemed", revoked: "Revoked", expired: "Expired" }[
+                          syncCodeInfo.state
+                        ] || syncCodeInfo.state}
+                    {" • "}
+                    Redeemed by {syncCodeInfo.uses} of {syncCodeInfo.maxUses} device
+                    {syncCodeInfo.maxUses === 1 ? "" : "s"}
+                  </div>
+                ) : null}
+
+                <div style={{ marginTop: 12 }}>
+                  {renderSyncScope("Scope, lifetime and device limit apply to the next code.")}
+                </div>
+
+                <div style={{ ...styles.settingLabel, marginTop: 12 }}>Lifetime</div>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {SYNC_CODE_TTLS.map((t) => (
+                    <button
+                      key={t.sec}
+                      style={{
+                        ...styles.chip,
+                        background: syncCodeOpts.ttlSec === t.sec ? "#111827" : "transparent",
+                      }}
+                      onClick={() => setSyncCodeOpt("ttlSec", t.sec)}
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ ...styles.settingLabel, marginTop: 8 }}>Devices</div>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {SYNC_CODE_USES.map((n) => (
+                    <button
+                      key={n}
+                      style={{
+                        ...styles.chip,
+                        background: syncCodeOpts.maxUses === n ? "#111827" : "transparent",
+                      }}
+                      onClick={() => setSyncCodeOpt("maxUses", n)}
+                    >
+                      {n}
+                    </button>
+                  ))}
+                </div>
 
                 <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
                   <button
@@ -930,14 +2118,21 @@ export default function App() {
                     disabled={syncBusy}
                     onClick={() => createSyncCode()}
                   >
-                    Refresh
+                    New code
+                  </button>
+                  <button
+                    style={styles.btnSecondary}
+                    disabled={!syncCodeInfo || syncCodeInfo.state !== "active"}
+                    onClick={revokeSyncCode}
+                  >
+                    Revoke
                   </button>
                   <button
                     style={styles.btnSecondary}
                     disabled={!syncCreatedCode}
                     onClick={async () => {
                       try {
-                        const link = makeSyncLink(syncCreatedCode);
+                        const link = makeSyncLink(syncCreatedCode, syncSecret);
                         await navigator.clipboard.writeText(link);
                         showBanner("Link copied", "ok", 1.0);
                       } catch {
@@ -949,20 +2144,13 @@ export default function App() {
                   </button>
                 </div>
 
-                {syncCreatedCode ? (
-                  <div style={{ marginTop: 14, display: "grid", placeItems: "center" }}>
-                    <img
-                      alt="Sync QR"
-                      style={styles.qrImg}
-                      src={`https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(
-                        makeSyncLink(syncCreatedCode)
-                      )}`}
-                    />
-                  </div>
-                ) : null}
+                {syncCreatedCode && syncCodeInfo?.state === "active"
+                  ? renderQr(makeSyncLink(syncCreatedCode, syncSecret), "Sync QR")
+                  : null}
 
                 <div style={{ marginTop: 12, opacity: 0.75, fontWeight: 800, fontSize: 12 }}>
-                  Codes expire and can be used once.
+                  The data is encrypted on this phone; the key is only in the link / QR, so share
+                  it the same way.
                 </div>
 
                 <div style={{ marginTop: 14 }}>
@@ -977,47 +2165,1303 @@ export default function App() {
               <div>
                 <div style={styles.modalSubTitle}>Enter a code</div>
 
-                <input
-                  style={styles.codeInput}
-                  value={syncEnterCode}
-                  onChange={(e) =>
-                    setSyncEnterCode(e.target.value.replace(/\D/g, "").slice(0, 6))
-                  }
-                  placeholder="6-digit code"
-                  inputMode="numeric"
-                />
+                <input
+                  style={styles.codeInput}
+                  value={syncEnterCode}
+                  onChange={(e) =>
+                    setSyncEnterCode(e.target.value.replace(/\D/g, "").slice(0, 6))
+                  }
+                  placeholder="6-digit code"
+                  inputMode="numeric"
+                />
+                <input
+                  style={{ ...styles.codeInput, marginTop: 8, fontSize: 14, letterSpacing: 0 }}
+                  value={syncEnterKey}
+                  onChange={(e) => setSyncEnterKey(e.target.value.trim())}
+                  placeholder="Key (filled in from the link / QR)"
+                  autoCapitalize="off"
+                  autoCorrect="off"
+                  spellCheck={false}
+                />
+
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
+                  <button
+                    style={styles.btnPrimary}
+                    disabled={syncBusy}
+                    onClick={() => redeemSyncCode(syncEnterCode, syncEnterKey)}
+                  >
+                    Sync
+                  </button>
+                  <button
+                    style={styles.btnSecondary}
+                    disabled={syncBusy}
+                    onClick={() => startQrScan()}
+                  >
+                    Scan
+                  </button>
+                  <button style={styles.btnSecondary} onClick={() => setSyncStep("choose")}>
+                    Back
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {syncStep === "room" && (
+              <div>
+                <div style={{ opacity: 0.85, fontWeight: 800, marginBottom: 10 }}>
+                  Every phone in a room sees the others' scans within a few seconds. Scans made
+                  offline are sent when the phone reconnects.
+                </div>
+
+                {room ? (
+                  <div>
+                    <div style={styles.modalSubTitle}>Room code</div>
+                    <div style={styles.codeBox}>{room.code}</div>
+                    <div style={styles.keyLine}>Key: {room.secret}</div>
+                    {renderQr(makeRoomLink(room.code, room.secret), "Room QR")}
+                    <div style={{ marginTop: 12, fontWeight: 800, fontSize: 13 }}>
+                      {roomStatus.pending
+                        ? `${roomStatus.pending} scan(s) waiting to send`
+                        : "All scans sent"}
+                      {roomStatus.lastSync
+                        ? ` • last sync ${new Date(roomStatus.lastSync).toLocaleTimeString()}`
+                        : ""}
+                    </div>
+                    {roomStatus.error ? (
+                      <div style={{ marginTop: 6, fontWeight: 800, fontSize: 12, color: "#fca5a5" }}>
+                        {roomStatus.error}
+                      </div>
+                    ) : null}
+                    <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                      <button
+                        style={styles.btnSecondary}
+                        onClick={async () => {
+                          try {
+                            await navigator.clipboard.writeText(
+                              makeRoomLink(room.code, room.secret)
+                            );
+                            showBanner("Link copied", "ok", 1.0);
+                          } catch {
+                            // ignore
+                          }
+                        }}
+                      >
+                        Copy Link
+                      </button>
+                      <button style={styles.btnSecondary} onClick={exitRoom}>
+                        Leave
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                    <button style={styles.btnPrimary} disabled={syncBusy} onClick={openRoom}>
+                      Open a room
+                    </button>
+                    <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>or join one</div>
+                    <input
+                      style={styles.codeInput}
+                      value={syncEnterCode}
+                      onChange={(e) =>
+                        setSyncEnterCode(e.target.value.replace(/\D/g, "").slice(0, 6))
+                      }
+                      placeholder="6-digit room code"
+                      inputMode="numeric"
+                    />
+                    <input
+                      style={{ ...styles.codeInput, marginTop: 8, fontSize: 14, letterSpacing: 0 }}
+                      value={syncEnterKey}
+                      onChange={(e) => setSyncEnterKey(e.target.value.trim())}
+                      placeholder="Key (filled in from the link / QR)"
+                      autoCapitalize="off"
+                      autoCorrect="off"
+                      spellCheck={false}
+                    />
+                    <div style={{ marginTop: 10 }}>
+                      <button
+                        style={styles.btnPrimary}
+                        disabled={syncBusy}
+                        onClick={() => enterRoom(syncEnterCode, syncEnterKey)}
+                      >
+                        Join
+                      </button>
+                      <button
+                        style={{ ...styles.btnSecondary, marginLeft: 10 }}
+                        disabled={syncBusy}
+                        onClick={() => startQrScan()}
+                      >
+                        Scan
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div style={{ marginTop: 14 }}>
+                  <button style={styles.btnSecondary} onClick={() => setSyncStep("choose")}>
+                    Back
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {syncStep === "qrSend" && (
+              <div>
+                <div style={{ opacity: 0.85, fontWeight: 800, marginBottom: 10 }}>
+                  On the other phone choose Sync → Receive by QR and point it at this screen until
+                  every frame is in. Frames repeat, so missed ones come round again.
+                </div>
+                {renderSyncScope()}
+                {qrFrames ? (
+                  <div style={{ display: "grid", placeItems: "center", gap: 8 }}>
+                    {(() => {
+                      const qr = qrSvg(qrFrames[qrFrameIdx % qrFrames.length], "L");
+                      return qr ? (
+                        <svg
+                          role="img"
+                          aria-label="Transfer QR"
+                          viewBox={`0 0 ${qr.size} ${qr.size}`}
+                          shapeRendering="crispEdges"
+                          style={{
+                            ...styles.qrImg,
+                            width: "min(78vw, 340px)",
+                            height: "min(78vw, 340px)",
+                          }}
+                          onClick={() => setQrFullscreen({ live: true, label: "Transfer QR" })}
+                        >
+                          <rect width={qr.size} height={qr.size} fill="#fff" />
+                          <path d={qr.path} fill="#000" />
+                        </svg>
+                      ) : null;
+                    })()}
+                    <div style={{ fontWeight: 900 }}>
+                      Frame {(qrFrameIdx % qrFrames.length) + 1} of {qrFrames.length}
+                    </div>
+                    <div style={styles.qrSendControls}>
+                      {FRAME_SPEEDS.map((s) => (
+                        <button
+                          key={s.key}
+                          style={{
+                            ...styles.chip,
+                            background: qrSpeed === s.key ? "#111827" : "transparent",
+                          }}
+                          onClick={() => chooseQrSpeed(s.key)}
+                        >
+                          {s.label}
+                        </button>
+                      ))}
+                      <button
+                        style={styles.chip}
+                        onClick={() => setQrFullscreen({ live: true, label: "Transfer QR" })}
+                      >
+                        ⛶ Show
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div style={{ fontWeight: 800, opacity: 0.8 }}>Preparing…</div>
+                )}
+                <div style={{ marginTop: 14 }}>
+                  <button style={styles.btnSecondary} onClick={() => setSyncStep("choose")}>
+                    Back
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {syncStep === "qrReceive" && (
+              <div>
+                <div style={{ opacity: 0.85, fontWeight: 800, marginBottom: 10 }}>
+                  On the sending phone choose Sync → Send by QR, then scan its screen. The lists
+                  are merged in once every frame has been read.
+                </div>
+                {qrRecv && qrRecv.total ? (
+                  <div>
+                    <div style={{ fontWeight: 900 }}>
+                      {qrRecv.have} of {qrRecv.total} frames
+                    </div>
+                    <div style={{ ...styles.pillBarOuter, marginTop: 6 }}>
+                      <div
+                        style={{
+                          ...styles.pillBarInner,
+                          width: `${Math.round((qrRecv.have / qrRecv.total) * 100)}%`,
+                        }}
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <div style={{ fontWeight: 800, opacity: 0.8 }}>No frames yet.</div>
+                )}
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                  <button style={styles.btnPrimary} onClick={startQrReceive}>
+                    {qrRecv && qrRecv.have ? "Continue scanning" : "Scan"}
+                  </button>
+                  {qrRecv && qrRecv.have ? (
+                    <button style={styles.btnSecondary} onClick={resetQrReceive}>
+                      Start over
+                    </button>
+                  ) : null}
+                  <button style={styles.btnSecondary} onClick={() => setSyncStep("choose")}>
+                    Back
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {syncStep === "report" && syncReport && (
+              <div>
+                <div style={styles.modalSubTitle}>Merged</div>
+                {syncReport.scope &&
+                (syncReport.scope.eventUids || !syncReport.scope.progress || !syncReport.scope.extra) ? (
+                  <div style={{ marginBottom: 6, opacity: 0.8, fontWeight: 800, fontSize: 13 }}>
+                    Sender limited this to:{" "}
+                    {[
+                      syncReport.scope.eventUids
+                        ? `${syncReport.scope.eventUids.length} list(s)`
+                        : "all lists",
+                      syncReport.scope.progress ? "" : "no progress",
+                      syncReport.scope.extra ? "" : "no custom fields",
+                    ]
+                      .filter(Boolean)
+                      .join(" • ")}
+                  </div>
+                ) : null}
+                <div style={{ fontWeight: 900 }}>
+                  +{syncReport.added.length} new • ~{syncReport.updated.length} updated •{" "}
+                  {syncReport.checkIns} check-ins picked up • {syncReport.unchanged} unchanged
+                </div>
+                {syncReport.eventsAdded.length ? (
+                  <div style={{ marginTop: 6, opacity: 0.85, fontWeight: 800, fontSize: 13 }}>
+                    New events: {syncReport.eventsAdded.join(", ")}
+                  </div>
+                ) : null}
+
+                <div style={{ ...styles.modalList, marginTop: 10 }}>
+                  {syncReport.updated.slice(0, 50).map((u) => (
+                    <div key={`u${u.record.id}`} style={styles.diffRow}>
+                      <span style={{ color: "#fcd34d" }}>~</span> {u.record.name || "(No name)"} •{" "}
+                      {u.record.studentId || "—"}
+                      {u.event ? ` • ${u.event}` : ""}
+                      <div style={{ opacity: 0.75, fontSize: 12 }}>
+                        {["scanned", "received", "name", "type", "extra", "missing"]
+                          .filter((k) => k in u.changes)
+                          .map((k) =>
+                            k === "extra"
+                              ? "custom fields"
+                              : `${k}: ${String(u.record[k] ?? "") || "—"} → ${String(u.changes[k]) || "—"}`
+                          )
+                          .join(" • ")}
+                      </div>
+                    </div>
+                  ))}
+                  {syncReport.added.slice(0, 50).map((r, i) => (
+                    <div key={`a${i}`} style={styles.diffRow}>
+                      <span style={{ color: "#86efac" }}>+</span> {r.name || "(No name)"} •{" "}
+                      {r.studentId || "—"}
+                      {r.event ? ` • ${r.event}` : ""}
+                    </div>
+                  ))}
+                  {!syncReport.updated.length && !syncReport.added.length ? (
+                    <div style={{ opacity: 0.7, fontWeight: 800 }}>Already up to date.</div>
+                  ) : null}
+                </div>
+
+                <div style={{ marginTop: 14 }}>
+                  <button
+                    style={styles.btnPrimary}
+                    onClick={() => {
+                      setSyncOpen(false);
+                      setSyncStep("choose");
+                      setSyncReport(null);
+                    }}
+                  >
+                    Done
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {syncMsg ? (
+              <div style={{ marginTop: 12, opacity: 0.9, fontWeight: 800, color: "#fca5a5" }}>
+                {syncMsg}
+              </div>
+            ) : null}
+          </div>
+        </div>
+      )}
+
+      {eventsOpen && (
+        <div style={styles.modalOverlay} onClick={() => setEventsOpen(false)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Events</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setEventsOpen(false)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={styles.modalSubTitle}>New event</div>
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              <input
+                style={styles.input}
+                value={newEventName}
+                onChange={(e) => setNewEventName(e.target.value)}
+                placeholder="e.g. Homecoming tickets"
+              />
+              <select
+                style={styles.select}
+                value={newEventMode}
+                onChange={(e) => setNewEventMode(e.target.value)}
+              >
+                <option value="events">Events</option>
+                <option value="distribution">Distribution</option>
+              </select>
+              <button
+                style={styles.btnPrimary}
+                disabled={!newEventName.trim()}
+                onClick={addEvent}
+              >
+                Create
+              </button>
+            </div>
+
+            <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>Open</div>
+            <div style={styles.modalList}>
+              {openEvents.map((ev) => (
+                <div key={ev.id} style={styles.eventRow}>
+                  <div style={{ flex: 1, minWidth: 140 }}>
+                    <div style={{ fontWeight: 900 }}>
+                      {ev.name}
+                      {ev.id === activeEventId ? " •" : ""}
+                    </div>
+                    <div style={{ opacity: 0.75, fontSize: 12, fontWeight: 800 }}>
+                      {MODE_LABELS[ev.mode] || ev.mode}
+                    </div>
+                  </div>
+                  <button
+                    style={styles.smallBtn}
+                    onClick={() => {
+                      setActiveEventId(ev.id);
+                      setEventsOpen(false);
+                    }}
+                  >
+                    Open
+                  </button>
+                  <button style={styles.smallBtn} onClick={() => promptRenameEvent(ev)}>
+                    Rename
+                  </button>
+                  <button style={styles.smallBtn} onClick={() => toggleArchiveEvent(ev)}>
+                    Archive
+                  </button>
+                  <button style={styles.smallBtn} onClick={() => removeEvent(ev)}>
+                    Delete
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            {archivedEvents.length ? (
+              <>
+                <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>Archived</div>
+                <div style={styles.modalList}>
+                  {archivedEvents.map((ev) => (
+                    <div key={ev.id} style={{ ...styles.eventRow, opacity: 0.75 }}>
+                      <div style={{ flex: 1, minWidth: 140 }}>
+                        <div style={{ fontWeight: 900 }}>{ev.name}</div>
+                        <div style={{ opacity: 0.75, fontSize: 12, fontWeight: 800 }}>
+                          {MODE_LABELS[ev.mode] || ev.mode}
+                        </div>
+                      </div>
+                      <button style={styles.smallBtn} onClick={() => toggleArchiveEvent(ev)}>
+                        Unarchive
+                      </button>
+                      <button style={styles.smallBtn} onClick={() => removeEvent(ev)}>
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : null}
+          </div>
+        </div>
+      )}
+
+      {importDraft && importPlan && (
+        <div style={styles.modalOverlay} onClick={() => !importBusy && setImportDraft(null)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Import {importDraft.fileName}</div>
+              <button
+                style={styles.xBtn}
+                disabled={importBusy}
+                onClick={() => setImportDraft(null)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            {importDraft.step === "map" && (
+              <div>
+                <div style={styles.modalSubTitle}>Match your columns</div>
+                <div style={{ opacity: 0.75, fontSize: 12, fontWeight: 800, marginBottom: 8 }}>
+                  Detected: {importDraft.fields.join(", ")}
+                </div>
+
+                {MAPPABLE_FIELDS.map((f) => (
+                  <div key={f.key} style={styles.mapRow}>
+                    <div style={{ flex: "0 0 110px", fontWeight: 900, fontSize: 13 }}>{f.label}</div>
+                    <select
+                      style={styles.select}
+                      value={importDraft.mapping[f.key] || ""}
+                      onChange={(e) => setImportMapping(f.key, e.target.value)}
+                    >
+                      <option value="">— none —</option>
+                      {importDraft.fields.map((h) => (
+                        <option key={h} value={h}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+
+                <div style={{ opacity: 0.75, fontSize: 12, fontWeight: 800, marginTop: 6 }}>
+                  Leave "Full name" empty to combine First + Last.
+                  {extraColumns(importDraft.fields, importDraft.mapping).length
+                    ? ` Kept as custom fields: ${extraColumns(
+                        importDraft.fields,
+                        importDraft.mapping
+                      ).join(", ")}.`
+                    : ""}
+                </div>
+
+                <div style={{ ...styles.modalSubTitle, marginTop: 12 }}>Preview</div>
+                <div style={styles.modalList}>
+                  {importIncoming.length === 0 ? (
+                    <div style={styles.empty}>No usable rows with this mapping.</div>
+                  ) : (
+                    importIncoming.slice(0, 5).map((r, i) => (
+                      <div key={i} style={styles.diffRow}>
+                        {r.name || "(No name)"} • {r.studentId || "—"}
+                        {r.type ? ` • ${r.type}` : ""}
+                        {formatExtra(r.extra) ? (
+                          <div style={{ opacity: 0.75, fontSize: 12 }}>{formatExtra(r.extra)}</div>
+                        ) : null}
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                  <button
+                    style={styles.btnPrimary}
+                    disabled={!importIncoming.length}
+                    onClick={() => setImportDraft((d) => ({ ...d, step: "review" }))}
+                  >
+                    Next
+                  </button>
+                  <button style={styles.btnSecondary} onClick={() => setImportDraft(null)}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {importDraft.step === "review" && (
+              <div>
+                {importReport.issues.length ? (
+                  <div style={styles.reportBox}>
+                    <div style={{ fontWeight: 900 }}>
+                      {importErrorCount ? (
+                        <span style={{ color: "#fca5a5" }}>
+                          {importErrorCount} row{importErrorCount === 1 ? "" : "s"} with errors
+                          (will be skipped)
+                        </span>
+                      ) : (
+                        "No errors"
+                      )}
+                      {" • "}
+                      <span style={{ color: "#fcd34d" }}>
+                        {importWarningCount} warning{importWarningCount === 1 ? "" : "s"}
+                      </span>
+                    </div>
+                    <div style={{ ...styles.modalList, maxHeight: "20vh", marginTop: 6 }}>
+                      {importReport.issues.slice(0, 100).map((p, i) => (
+                        <div key={i} style={styles.diffRow}>
+                          <span style={{ color: p.level === "error" ? "#fca5a5" : "#fcd34d" }}>
+                            Row {p.row}
+                          </span>{" "}
+                          • {p.field}
+                          {p.value ? ` "${p.value}"` : ""} • {p.message}
+                        </div>
+                      ))}
+                    </div>
+                    <div style={{ marginTop: 8 }}>
+                      <button style={styles.smallBtn} onClick={downloadImportProblems}>
+                        Download problems CSV
+                      </button>
+                    </div>
+                  </div>
+                ) : null}
+
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  {IMPORT_STRATEGIES.map((st) => (
+                    <button
+                      key={st.key}
+                      style={{
+                        ...styles.chip,
+                        background: importDraft.strategy === st.key ? "#111827" : "transparent",
+                      }}
+                      onClick={() => setImportDraft((d) => ({ ...d, strategy: st.key }))}
+                    >
+                      {st.label}
+                    </button>
+                  ))}
+                </div>
+
+                <div style={{ marginTop: 12, fontWeight: 900 }}>
+                  +{importPlan.added.length} new • ~{importPlan.updated.length} updated •{" "}
+                  {importPlan.strategy === "merge" ? "⚑" : "−"}
+                  {importPlan.removed.length} {importPlan.strategy === "merge" ? "flagged" : "removed"} •{" "}
+                  {importPlan.unchanged} unchanged
+                </div>
+
+                <div style={{ ...styles.modalList, marginTop: 10 }}>
+                  {importPlan.added.slice(0, 50).map((r, i) => (
+                    <div key={`a${i}`} style={styles.diffRow}>
+                      <span style={{ color: "#86efac" }}>+</span> {r.name || "(No name)"} •{" "}
+                      {r.studentId || "—"}
+                    </div>
+                  ))}
+                  {importPlan.updated.slice(0, 50).map((u) => (
+                    <div key={`u${u.before.id}`} style={styles.diffRow}>
+                      <span style={{ color: "#fcd34d" }}>~</span> {u.before.name || "(No name)"} •{" "}
+                      {u.before.studentId || "—"}
+                      <div style={{ opacity: 0.75, fontSize: 12 }}>
+                        {Object.entries(u.changes)
+                          .map(([k, v]) =>
+                            k === "extra"
+                              ? "custom fields"
+                              : `${k}: ${String(u.before[k] ?? "") || "—"} → ${String(v) || "—"}`
+                          )
+                          .join(" • ")}
+                      </div>
+                    </div>
+                  ))}
+                  {importPlan.removed.slice(0, 50).map((r) => (
+                    <div key={`r${r.id}`} style={styles.diffRow}>
+                      <span style={{ color: "#fca5a5" }}>
+                        {importPlan.strategy === "merge" ? "⚑" : "−"}
+                      </span>{" "}
+                      {r.name || "(No name)"} • {r.studentId || "—"}
+                      {r.scanned || r.received ? " (has progress)" : ""}
+                    </div>
+                  ))}
+                </div>
+
+                {importPlan.strategy === "replace" &&
+                importPlan.removed.some((r) => r.scanned || r.received) ? (
+                  <div style={{ marginTop: 10, fontWeight: 800, color: "#fca5a5" }}>
+                    Replace will erase existing check-ins for this event.
+                  </div>
+                ) : null}
+
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                  <button style={styles.btnPrimary} disabled={importBusy} onClick={commitImport}>
+                    {importErrorCount ? `Skip ${importErrorCount} & Import` : "Import"}
+                  </button>
+                  <button
+                    style={styles.btnSecondary}
+                    disabled={importBusy}
+                    onClick={() => setImportDraft((d) => ({ ...d, step: "map" }))}
+                  >
+                    Back
+                  </button>
+                  {importErrorCount ? (
+                    <button
+                      style={styles.btnDanger}
+                      disabled={importBusy}
+                      onClick={() => setImportDraft(null)}
+                    >
+                      Abort
+                    </button>
+                  ) : null}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {profileDraft && (
+        <div style={styles.modalOverlay} onClick={() => setProfileDraft(null)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Scan settings</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setProfileDraft(null)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={styles.modalList}>
+              <div style={styles.modalSubTitle}>Barcode types</div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {BARCODE_READERS.map((r) => (
+                  <button
+                    key={r.key}
+                    style={{
+                      ...styles.chip,
+                      background: profileDraft.readers.includes(r.key) ? "#111827" : "transparent",
+                    }}
+                    onClick={() => toggleDraftReader(r.key)}
+                  >
+                    {r.label}
+                  </button>
+                ))}
+                <button
+                  style={{
+                    ...styles.chip,
+                    background: profileDraft.qr ? "#111827" : "transparent",
+                  }}
+                  onClick={() => setProfileDraft((p) => ({ ...p, qr: !p.qr }))}
+                >
+                  QR
+                </button>
+              </div>
+
+              <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>ID extraction</div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Trim chars</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.trimChars}
+                  onChange={(e) => setDraftExtract("trimChars", e.target.value)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Strip prefix</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.stripPrefix}
+                  onChange={(e) => setDraftExtract("stripPrefix", e.target.value)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Strip suffix</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.stripSuffix}
+                  onChange={(e) => setDraftExtract("stripSuffix", e.target.value)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Regex</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.pattern}
+                  onChange={(e) => setDraftExtract("pattern", e.target.value)}
+                  placeholder="optional, e.g. TKT-(\d+)"
+                  autoCapitalize="none"
+                  autoCorrect="off"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Digits only</div>
+                <input
+                  type="checkbox"
+                  checked={!!profileDraft.extract.digitsOnly}
+                  onChange={(e) => setDraftExtract("digitsOnly", e.target.checked)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Length</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.length}
+                  onChange={(e) => setDraftExtract("length", e.target.value.replace(/\D/g, ""))}
+                  inputMode="numeric"
+                  placeholder="0 = any"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Pad from</div>
+                <input
+                  style={styles.input}
+                  value={profileDraft.extract.padFrom}
+                  onChange={(e) => setDraftExtract("padFrom", e.target.value.replace(/\D/g, ""))}
+                  inputMode="numeric"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Too long</div>
+                <select
+                  style={styles.select}
+                  value={profileDraft.extract.overflow}
+                  onChange={(e) => setDraftExtract("overflow", e.target.value)}
+                >
+                  <option value="last">Keep last digits</option>
+                  <option value="first">Keep first digits</option>
+                  <option value="keep">Leave as is</option>
+                </select>
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Engine</div>
+                <select
+                  style={styles.select}
+                  value={profileDraft.engine || "auto"}
+                  onChange={(e) => setProfileDraft((p) => ({ ...p, engine: e.target.value }))}
+                >
+                  <option value="auto">Auto (native if supported)</option>
+                  <option value="quagga">Quagga2 only</option>
+                </select>
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Auto-submit</div>
+                <input
+                  type="checkbox"
+                  checked={!!profileDraft.autoSubmit}
+                  onChange={(e) =>
+                    setProfileDraft((p) => ({ ...p, autoSubmit: e.target.checked }))
+                  }
+                />
+              </div>
+
+              <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>Keyboard wedge scanner</div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Enabled</div>
+                <input
+                  type="checkbox"
+                  checked={!!wedgeDraft.enabled}
+                  onChange={(e) => setWedgeField("enabled", e.target.checked)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Max gap (ms)</div>
+                <input
+                  style={styles.input}
+                  value={wedgeDraft.maxGap}
+                  onChange={(e) => setWedgeField("maxGap", e.target.value.replace(/\D/g, ""))}
+                  inputMode="numeric"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Min length</div>
+                <input
+                  style={styles.input}
+                  value={wedgeDraft.minLength}
+                  onChange={(e) => setWedgeField("minLength", e.target.value.replace(/\D/g, ""))}
+                  inputMode="numeric"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Prefix</div>
+                <input
+                  style={styles.input}
+                  value={wedgeDraft.prefix}
+                  onChange={(e) => setWedgeField("prefix", e.target.value)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Suffix</div>
+                <input
+                  style={styles.input}
+                  value={wedgeDraft.suffix}
+                  onChange={(e) => setWedgeField("suffix", e.target.value)}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Ends with</div>
+                <select
+                  style={styles.select}
+                  value={wedgeDraft.terminator}
+                  onChange={(e) => setWedgeField("terminator", e.target.value)}
+                >
+                  <option value="enter">Enter</option>
+                  <option value="tab">Tab</option>
+                  <option value="none">Nothing (pause)</option>
+                </select>
+              </div>
+
+              <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>Rapid scan</div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Enabled</div>
+                <input
+                  type="checkbox"
+                  checked={!!rapidDraft.enabled}
+                  onChange={(e) => setRapidDraft((r) => ({ ...r, enabled: e.target.checked }))}
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Toast (sec)</div>
+                <input
+                  style={styles.input}
+                  value={rapidDraft.toastSeconds}
+                  onChange={(e) =>
+                    setRapidDraft((r) => ({
+                      ...r,
+                      toastSeconds: e.target.value.replace(/[^\d.]/g, ""),
+                    }))
+                  }
+                  inputMode="decimal"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Recent scans</div>
+                <input
+                  style={styles.input}
+                  value={rapidDraft.historySize}
+                  onChange={(e) =>
+                    setRapidDraft((r) => ({ ...r, historySize: e.target.value.replace(/\D/g, "") }))
+                  }
+                  inputMode="numeric"
+                />
+              </div>
+              <div style={styles.mapRow}>
+                <div style={styles.settingLabel}>Sound</div>
+                <input
+                  type="checkbox"
+                  checked={!!rapidDraft.sound}
+                  onChange={(e) => setRapidDraft((r) => ({ ...r, sound: e.target.checked }))}
+                />
+                <div style={styles.settingLabel}>Vibrate</div>
+                <input
+                  type="checkbox"
+                  checked={!!rapidDraft.vibrate}
+                  onChange={(e) => setRapidDraft((r) => ({ ...r, vibrate: e.target.checked }))}
+                />
+              </div>
+
+              <div style={{ ...styles.modalSubTitle, marginTop: 14 }}>Test</div>
+              <input
+                style={styles.input}
+                value={profileTest}
+                onChange={(e) => setProfileTest(e.target.value)}
+                placeholder="Paste a scanned value"
+                autoCapitalize="none"
+                autoCorrect="off"
+              />
+              {profileTest ? (
+                <div style={{ marginTop: 6, fontWeight: 900 }}>
+                  → {extractId(profileTest, profileDraft) || "—"}
+                </div>
+              ) : null}
+            </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+              <button style={styles.btnPrimary} onClick={saveScanSettings}>
+                Save
+              </button>
+              <button
+                style={styles.btnSecondary}
+                onClick={() => setProfileDraft(DEFAULT_SCAN_PROFILE)}
+              >
+                Defaults
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {imageScan && (
+        <div style={styles.modalOverlay} onClick={closeImageScan}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Scan from image</div>
+              <button style={styles.xBtn} onClick={closeImageScan} aria-label="Close">
+                ✕
+              </button>
+            </div>
+
+            {imageScan.busy ? (
+              <div style={styles.empty}>Reading image…</div>
+            ) : (
+              <div>
+                <div
+                  style={{
+                    ...styles.imagePreview,
+                    // Keep tall screenshots within ~40% of the screen height.
+                    width: `min(100%, ${(40 * imageScan.width) / imageScan.height}vh)`,
+                  }}
+                >
+                  <img src={imageScan.url} alt="Scanned" style={{ width: "100%", display: "block" }} />
+                  {imageScan.points?.length ? (
+                    <svg
+                      viewBox={`0 0 ${imageScan.width} ${imageScan.height}`}
+                      preserveAspectRatio="none"
+                      style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}
+                    >
+                      <polygon
+                        points={imageScan.points.map((p) => `${p.x},${p.y}`).join(" ")}
+                        fill="rgba(34,197,94,0.18)"
+                        stroke="rgba(0,255,0,0.9)"
+                        strokeWidth={Math.max(3, imageScan.width / 200)}
+                      />
+                    </svg>
+                  ) : null}
+                </div>
+
+                {imageScan.code ? (
+                  <div style={{ marginTop: 10, fontWeight: 900 }}>
+                    {extractId(imageScan.code, scanProfile)}
+                    <span style={{ opacity: 0.7, fontSize: 12, fontWeight: 800 }}>
+                      {" "}
+                      (read “{imageScan.code}” via {ENGINE_LABELS[imageScan.engine] || imageScan.engine})
+                    </span>
+                  </div>
+                ) : (
+                  <div style={{ marginTop: 10, fontWeight: 800, color: "#fca5a5" }}>
+                    No barcode found. Try a sharper, closer photo.
+                  </div>
+                )}
+
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                  <button
+                    style={styles.btnPrimary}
+                    disabled={!imageScan.code}
+                    onClick={submitImageScan}
+                  >
+                    Submit
+                  </button>
+                  <button
+                    style={styles.btnSecondary}
+                    onClick={() => imageInputRef.current?.click()}
+                  >
+                    Another image
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {inventoryOpen && stockDraft && (
+        <div style={styles.modalOverlay} onClick={() => setInventoryOpen(false)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Inventory — {title}</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setInventoryOpen(false)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={{ opacity: 0.8, fontSize: 13, fontWeight: 700, marginBottom: 10 }}>
+              Enter how many of each type you have in total. Every handout counts against it;
+              leave a type blank to not track it.
+            </div>
+
+            <div style={styles.modalList}>
+              {Object.keys(stockDraft.stock).length === 0 ? (
+                <div style={styles.empty}>No types yet. Import orders or add a type below.</div>
+              ) : (
+                Object.keys(stockDraft.stock)
+                  .sort((x, y) => x.localeCompare(y, undefined, { numeric: true }))
+                  .map((t) => {
+                    const s = stockRows.find((row) => row.type === t);
+                    return (
+                      <div key={t} style={styles.eventRow}>
+                        <div style={{ flex: 1, minWidth: 140 }}>
+                          <div style={{ fontWeight: 900 }}>{typeLabel(t)}</div>
+                          <div style={{ opacity: 0.8, fontSize: 12, fontWeight: 800 }}>
+                            {s ? `${s.ordered} ordered • ${s.handedOut} handed out` : "No orders"}
+                            {s?.short ? ` • ${s.short} short` : ""}
+                          </div>
+                        </div>
+                        <input
+                          style={{ ...styles.input, flex: "0 0 90px", minWidth: 90 }}
+                          type="number"
+                          min="0"
+                          inputMode="numeric"
+                          value={stockDraft.stock[t]}
+                          placeholder="—"
+                          onChange={(e) =>
+                            setStockDraft({
+                              ...stockDraft,
+                              stock: { ...stockDraft.stock, [t]: e.target.value },
+                            })
+                          }
+                        />
+                      </div>
+                    );
+                  })
+              )}
+            </div>
+
+            <div style={{ ...styles.row, marginTop: 12 }}>
+              <input
+                style={styles.input}
+                value={stockDraft.newType}
+                onChange={(e) => setStockDraft({ ...stockDraft, newType: e.target.value })}
+                onKeyDown={(e) => e.key === "Enter" && addStockType()}
+                placeholder="Add a type (e.g. XL)"
+              />
+              <button style={styles.btnSecondary} onClick={addStockType}>
+                Add type
+              </button>
+            </div>
+
+            <div style={{ ...styles.row, marginTop: 12 }}>
+              <span style={{ fontWeight: 900 }}>Warn when</span>
+              <input
+                style={{ ...styles.input, flex: "0 0 90px", minWidth: 90 }}
+                type="number"
+                min="0"
+                inputMode="numeric"
+                value={stockDraft.lowStockAt}
+                onChange={(e) => setStockDraft({ ...stockDraft, lowStockAt: e.target.value })}
+              />
+              <span style={{ fontWeight: 900 }}>or fewer are left</span>
+            </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+              <button style={styles.btnPrimary} onClick={saveInventory}>
+                Save
+              </button>
+              <button style={styles.btnSecondary} onClick={exportStockCSV}>
+                Export stock report
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {backupOpen && (
+        <div style={styles.modalOverlay} onClick={() => !backupBusy && setBackupOpen(false)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Backup & restore</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setBackupOpen(false)}
+                disabled={backupBusy}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={{ opacity: 0.8, fontSize: 13, fontWeight: 700, marginBottom: 10 }}>
+              One file with every event, record, scan history and setting on this device. Works
+              offline.
+            </div>
 
-                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 10 }}>
-                  <button
-                    style={styles.btnPrimary}
-                    disabled={syncBusy}
-                    onClick={() => redeemSyncCode(syncEnterCode)}
-                  >
-                    Sync
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 12 }}>
+              <button style={styles.btnSecondary} onClick={() => saveBackup(false)} disabled={backupBusy}>
+                Save backup
+              </button>
+              {typeof navigator !== "undefined" && navigator.share ? (
+                <button style={styles.btnSecondary} onClick={() => saveBackup(true)} disabled={backupBusy}>
+                  Share backup
+                </button>
+              ) : null}
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept=".json,.gz,application/json,application/gzip"
+                style={{ display: "none" }}
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) openBackupFile(f);
+                  e.target.value = "";
+                }}
+              />
+              <button
+                style={styles.btnSecondary}
+                onClick={() => backupInputRef.current?.click()}
+                disabled={backupBusy}
+              >
+                Open backup file
+              </button>
+            </div>
+
+            {backupDraft ? (
+              <>
+                <div style={{ fontWeight: 900, marginBottom: 4 }}>
+                  Backup from {new Date(backupDraft.summary.createdAt).toLocaleString()}
+                </div>
+                <div style={{ opacity: 0.8, fontSize: 13, fontWeight: 700, marginBottom: 8 }}>
+                  {backupDraft.summary.device || "Unknown device"} • {backupDraft.summary.records}{" "}
+                  records • {backupDraft.summary.scans} history entries •{" "}
+                  {backupDraft.summary.settings} settings
+                </div>
+                <div style={styles.modalList}>
+                  {backupDraft.summary.events.map((ev) => (
+                    <div key={ev.id} style={styles.eventRow}>
+                      <div style={{ flex: 1, minWidth: 160 }}>
+                        <div style={{ fontWeight: 900 }}>
+                          {ev.name}
+                          {ev.archived ? " (archived)" : ""}
+                        </div>
+                        <div style={{ opacity: 0.85, fontSize: 13 }}>
+                          {MODE_LABELS[ev.mode] || ev.mode} • {ev.records} records, {ev.done} done
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 12 }}>
+                  <button style={styles.btnDanger} onClick={applyBackup} disabled={backupBusy}>
+                    Restore this backup
                   </button>
                   <button
                     style={styles.btnSecondary}
-                    disabled={syncBusy}
-                    onClick={() => startQrScan()}
+                    onClick={() => setBackupDraft(null)}
+                    disabled={backupBusy}
                   >
-                    Scan
-                  </button>
-                  <button style={styles.btnSecondary} onClick={() => setSyncStep("choose")}>
-                    Back
+                    Cancel
                   </button>
                 </div>
-              </div>
-            )}
-
-            {syncMsg ? (
-              <div style={{ marginTop: 12, opacity: 0.9, fontWeight: 800, color: "#fca5a5" }}>
-                {syncMsg}
-              </div>
+              </>
             ) : null}
           </div>
         </div>
       )}
 
+      {snapshotsOpen && (
+        <div style={styles.modalOverlay} onClick={() => setSnapshotsOpen(false)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Restore points</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setSnapshotsOpen(false)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={{ opacity: 0.8, fontSize: 13, fontWeight: 700, marginBottom: 10 }}>
+              Saved automatically before every sync, CSV import and reset. The last 10 are kept
+              for up to 30 days.
+            </div>
+
+            <div style={styles.modalList}>
+              {snapshots.length === 0 ? (
+                <div style={styles.empty}>No restore points yet.</div>
+              ) : (
+                snapshots.map((s) => (
+                  <div key={s.id} style={styles.eventRow}>
+                    <div style={{ flex: 1, minWidth: 160 }}>
+                      <div style={{ fontWeight: 900 }}>
+                        {SNAPSHOT_REASONS[s.reason] || s.reason}
+                      </div>
+                      <div style={{ opacity: 0.85, fontSize: 13 }}>
+                        {s.eventId == null
+                          ? `All events (${s.counts.events})`
+                          : s.eventNames[0] || "—"}{" "}
+                        • {s.counts.records} records, {s.counts.done} done, {s.counts.scans} history
+                      </div>
+                      <div style={{ opacity: 0.7, fontSize: 12, fontWeight: 800 }}>
+                        {new Date(s.createdAt).toLocaleString()}
+                      </div>
+                    </div>
+                    <button style={styles.smallBtn} onClick={() => restorePoint(s)}>
+                      Restore
+                    </button>
+                    <button style={styles.smallBtn} onClick={() => removePoint(s)}>
+                      Delete
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {historyOpen && (
+        <div style={styles.modalOverlay} onClick={() => setHistoryOpen(false)}>
+          <div style={styles.modalCard} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeaderRow}>
+              <div style={{ fontWeight: 950, fontSize: 16 }}>Scan history</div>
+              <button
+                style={styles.xBtn}
+                onClick={() => setHistoryOpen(false)}
+                aria-label="Close"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
+              <button style={styles.btnSecondary} onClick={undoLast}>
+                Undo last
+              </button>
+            </div>
+
+            <div style={styles.modalList}>
+              {scanHistory.length === 0 ? (
+                <div style={styles.empty}>No scans yet.</div>
+              ) : (
+                scanHistory.map((h) => (
+                  <div key={h.id} style={{ ...styles.eventRow, opacity: h.undone ? 0.55 : 1 }}>
+                    <div style={{ flex: 1, minWidth: 160 }}>
+                      <div style={{ fontWeight: 900 }}>
+                        {OUTCOME_LABELS[h.outcome] || h.outcome}
+                        {h.undone ? " (undone)" : h.orphaned ? " (record removed)" : ""}
+                      </div>
+                      <div style={{ opacity: 0.85, fontSize: 13 }}>
+                        {h.name || "—"} • {h.studentId || h.value || "—"}
+                      </div>
+                      <div style={{ opacity: 0.7, fontSize: 12, fontWeight: 800 }}>
+                        {h.stamp || new Date(h.at).toLocaleString()} • {h.device}
+                      </div>
+                    </div>
+                    {isUndoable(h) ? (
+                      <button
+                        style={styles.smallBtn}
+                        onClick={() => runUndo(() => undoScan(h.id, nowStamp()))}
+                      >
+                        Revert
+                      </button>
+                    ) : null}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {qrFullscreen && (
+        <div style={styles.qrFullscreen} onClick={() => setQrFullscreen(null)}>
+          {(() => {
+            const qr = qrFullscreen.live
+              ? qrFrames && qrSvg(qrFrames[qrFrameIdx % qrFrames.length], "L")
+              : qrSvg(qrFullscreen.text);
+            return qr ? (
+              <svg
+                role="img"
+                aria-label={qrFullscreen.label}
+                viewBox={`0 0 ${qr.size} ${qr.size}`}
+                shapeRendering="crispEdges"
+                style={{ width: "min(92vw, 80vh)", height: "min(92vw, 80vh)" }}
+              >
+                <rect width={qr.size} height={qr.size} fill="#fff" />
+                <path d={qr.path} fill="#000" />
+              </svg>
+            ) : null;
+          })()}
+          <div style={{ marginTop: 12, fontWeight: 900, color: "#111827" }}>
+            Scan with the other device • tap to close
+          </div>
+        </div>
+      )}
+
       {qrScanOpen && (
         <div style={styles.modalOverlay}>
           <div style={styles.qrScanCard}>
@@ -1032,6 +3476,19 @@ export default function App() {
               </button>
             </div>
             <video ref={qrVideoRef} style={styles.qrVideo} playsInline muted />
+            {qrRecv && qrRecv.total ? (
+              <div style={{ marginTop: 8, fontWeight: 900 }}>
+                {qrRecv.have} of {qrRecv.total} frames
+                <div style={{ ...styles.pillBarOuter, marginTop: 6 }}>
+                  <div
+                    style={{
+                      ...styles.pillBarInner,
+                      width: `${Math.round((qrRecv.have / qrRecv.total) * 100)}%`,
+                    }}
+                  />
+                </div>
+              </div>
+            ) : null}
             <div style={{ marginTop: 10, display: "flex", justifyContent: "flex-end" }}>
               <button style={styles.btnSecondary} onClick={() => setQrScanOpen(false)}>
                 Close
@@ -1055,7 +3512,8 @@ export default function App() {
             <div style={{ fontWeight: 900, fontSize: 13 }}>
               Scan{" "}
               <span style={{ opacity: 0.75, fontWeight: 800 }}>
-                ({scannerStatus})
+                ({scannerStatus}
+                {scannerEngine ? ` • ${ENGINE_LABELS[scannerEngine]}` : ""})
               </span>
             </div>
             <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
@@ -1083,6 +3541,46 @@ export default function App() {
 
           <div id="quagga-view" style={styles.readerBody} onClick={tapToFocus} />
           <div style={styles.scanHintBand} />
+
+          {camControls ? (
+            <div style={styles.camBar}>
+              <button
+                style={{
+                  ...styles.smallBtn,
+                  opacity: camControls.torch ? 1 : 0.45,
+                  background: camControls.torchOn ? "#a16207" : styles.smallBtn.background,
+                }}
+                disabled={!camControls.torch}
+                onClick={() => setCamControl("torch", !camControls.torchOn)}
+                title={camControls.torch ? "Torch" : "Torch not supported on this camera"}
+              >
+                {camControls.torch ? (camControls.torchOn ? "🔦 On" : "🔦 Off") : "🔦 n/a"}
+              </button>
+              {RANGE_CONTROLS.map(({ key, label }) => {
+                const c = camControls[key];
+                if (!c) {
+                  return key === "brightness" ? null : (
+                    <span key={key} style={styles.camNa}>
+                      {label} n/a
+                    </span>
+                  );
+                }
+                return (
+                  <label key={key} style={styles.camSlider}>
+                    <span>{label}</span>
+                    <input
+                      type="range"
+                      min={c.min}
+                      max={c.max}
+                      step={c.step}
+                      value={c.value}
+                      onChange={(e) => setCamControl(key, Number(e.target.value))}
+                    />
+                  </label>
+                );
+              })}
+            </div>
+          ) : null}
         </div>
       )}
 
@@ -1092,13 +3590,31 @@ export default function App() {
           <div style={styles.h1}>{title}</div>
         </div>
 
+        <div style={styles.row}>
+          <select
+            style={styles.select}
+            value={activeEventId ?? ""}
+            onChange={(e) => setActiveEventId(Number(e.target.value))}
+            aria-label="Current event"
+          >
+            {openEvents.map((ev) => (
+              <option key={ev.id} value={ev.id}>
+                {ev.name}
+              </option>
+            ))}
+          </select>
+          <button style={styles.btnSecondary} onClick={() => setEventsOpen(true)}>
+            Manage
+          </button>
+        </div>
+
         <div style={styles.row}>
           <button
             style={{
               ...styles.chip,
               background: mode === "events" ? "#111827" : "transparent",
             }}
-            onClick={() => setMode("events")}
+            onClick={() => changeEventMode("events")}
           >
             Events
           </button>
@@ -1107,7 +3623,7 @@ export default function App() {
               ...styles.chip,
               background: mode === "distribution" ? "#111827" : "transparent",
             }}
-            onClick={() => setMode("distribution")}
+            onClick={() => changeEventMode("distribution")}
           >
             Distribution
           </button>
@@ -1128,6 +3644,34 @@ export default function App() {
             </div>
           </div>
 
+          {mode === "distribution" ? (
+            <div style={styles.pill}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+                <span style={{ fontWeight: 900 }}>Stock</span>
+                <button style={styles.smallBtn} onClick={openInventory}>
+                  Inventory
+                </button>
+              </div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+                {trackedStock.length === 0 ? (
+                  <span style={{ opacity: 0.7, fontWeight: 800, fontSize: 12 }}>
+                    Not tracked yet
+                  </span>
+                ) : (
+                  trackedStock.map((s) => (
+                    <span
+                      key={s.type}
+                      style={{ ...styles.stockChip, ...STOCK_LEVEL_STYLES[s.level] }}
+                      title={`${s.owed} still owed${s.short ? `, ${s.short} short` : ""}`}
+                    >
+                      {typeLabel(s.type)}: {Math.max(0, s.remaining)}
+                    </span>
+                  ))
+                )}
+              </div>
+            </div>
+          ) : null}
+
           <div style={styles.pill}>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
               <span style={{ fontWeight: 900 }}>Remaining</span>
@@ -1135,6 +3679,9 @@ export default function App() {
             </div>
             <div style={{ marginTop: 6, opacity: 0.8, fontWeight: 800, fontSize: 12 }}>
               {isOnline ? "Online" : "Offline"}
+              {room
+                ? ` • Room ${room.code}${roomStatus.pending ? ` (${roomStatus.pending} queued)` : ""}`
+                : ""}
             </div>
           </div>
         </div>
@@ -1144,7 +3691,11 @@ export default function App() {
             style={styles.searchInput}
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search student name or ID"
+            placeholder={
+              extraKeys.length
+                ? `Search name, ID or ${extraKeys[0].toLowerCase()}:value`
+                : "Search student name or ID"
+            }
             autoCapitalize="none"
             autoCorrect="off"
           />
@@ -1160,14 +3711,30 @@ export default function App() {
             style={styles.input}
             value={scan}
             onChange={(e) => setScan(e.target.value)}
-            placeholder={mode === "events" ? "Scan/Type 7-digit ID" : "Enter ID or Name"}
-            inputMode={mode === "events" ? "numeric" : "text"}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleSubmit(scan);
+            }}
+            placeholder={
+              wedge.enabled
+                ? "Wedge scanner ready — scan anytime"
+                : mode === "events"
+                ? idPlaceholder(scanProfile)
+                : "Enter ID or Name"
+            }
+            // Wedge mode: no on-screen keyboard popping up on tablets
+            inputMode={wedge.enabled ? "none" : mode === "events" ? "numeric" : "text"}
             autoCapitalize="none"
             autoCorrect="off"
           />
           <button style={styles.btnPrimary} onClick={() => handleSubmit(scan)}>
             Submit
           </button>
+          <button style={styles.btnSecondary} onClick={undoLast} title="Undo last check-in">
+            Undo last
+          </button>
+          <button style={styles.btnSecondary} onClick={() => setHistoryOpen(true)}>
+            History
+          </button>
         </div>
 
         <div style={styles.row}>
@@ -1181,6 +3748,51 @@ export default function App() {
             {scanOpen ? "Hide Camera" : "Camera Scan"}
           </button>
 
+          <button
+            style={{
+              ...styles.btnSecondary,
+              background: wedge.enabled ? "#14532d" : styles.btnSecondary.background,
+            }}
+            onClick={toggleWedge}
+            title="USB / Bluetooth keyboard scanner"
+          >
+            {wedge.enabled ? "Wedge: On" : "Wedge: Off"}
+          </button>
+
+          <button
+            style={{
+              ...styles.btnSecondary,
+              background: rapid.enabled ? "#14532d" : styles.btnSecondary.background,
+            }}
+            onClick={toggleRapid}
+            title="Compact results with sound instead of the full-screen banner"
+          >
+            {rapid.enabled ? "Rapid: On" : "Rapid: Off"}
+          </button>
+
+          <input
+            ref={imageInputRef}
+            type="file"
+            accept="image/*"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) scanImageFile(f);
+              e.target.value = "";
+            }}
+          />
+
+          {/* Quagga shares one event bus between instances, so a still image can't be
+              decoded while the live scanner runs. */}
+          <button
+            style={styles.btnSecondary}
+            disabled={scanOpen}
+            title={scanOpen ? "Close the camera first" : undefined}
+            onClick={() => imageInputRef.current?.click()}
+          >
+            Scan Image
+          </button>
+
           <input
             ref={importInputRef}
             type="file"
@@ -1203,11 +3815,35 @@ export default function App() {
           <button style={styles.btnSecondary} onClick={exportCSV}>
             Export CSV
           </button>
+
+          {mode === "distribution" && hasStock(activeEvent) ? (
+            <button style={styles.btnSecondary} onClick={exportStockCSV}>
+              Export stock
+            </button>
+          ) : null}
           
           <button style={styles.btnSecondary} onClick={exportTemplate}>
              Template
           </button>
 
+          <button style={styles.btnSecondary} onClick={openScanSettings}>
+            Scan Settings
+          </button>
+
+          <button
+            style={styles.btnSecondary}
+            onClick={() => {
+              setBackupDraft(null);
+              setBackupOpen(true);
+            }}
+          >
+            Backup
+          </button>
+
+          <button style={styles.btnSecondary} onClick={openRestorePoints}>
+            Restore points
+          </button>
+
           <button style={styles.btnDanger} onClick={resetAll}>
             Reset
           </button>
@@ -1245,26 +3881,46 @@ export default function App() {
                   ? "Received"
                   : "Not Yet";
 
+              const done = mode === "events" ? r.scanned : r.received;
+
               return (
-                <button
-                  key={r.id}
-                  style={styles.rowItem}
-                  onClick={() =>
-                    handleSubmit(
-                      mode === "events" ? r.studentId : r.studentId || r.name
-                    )
-                  }
-                >
-                  <div style={{ fontWeight: 900 }}>{r.name || "(No name)"}</div>
-                  <div style={{ opacity: 0.9, fontSize: 13 }}>
-                    ID: {r.studentId || "—"}
-                    {mode === "distribution" ? ` • Type: ${r.type || "—"}` : ""}
-                  </div>
-                  <div style={{ marginTop: 6, fontWeight: 800, opacity: 0.95 }}>
-                    {status}
-                    {r.timestamp ? ` • ${r.timestamp}` : ""}
-                  </div>
-                </button>
+                <div key={r.id} style={styles.rowWrap}>
+                  <button
+                    style={styles.rowItem}
+                    onClick={() =>
+                      handleSubmit(
+                        mode === "events" ? r.studentId : r.studentId || r.name,
+                        { extract: false }
+                      )
+                    }
+                  >
+                    <div style={{ fontWeight: 900 }}>{r.name || "(No name)"}</div>
+                    <div style={{ opacity: 0.9, fontSize: 13 }}>
+                      ID: {r.studentId || "—"}
+                      {mode === "distribution" ? ` • Type: ${r.type || "—"}` : ""}
+                    </div>
+                    {r.extra && formatExtra(r.extra) ? (
+                      <div style={{ opacity: 0.75, fontSize: 12, marginTop: 2 }}>
+                        {formatExtra(r.extra)}
+                      </div>
+                    ) : null}
+                    <div style={{ marginTop: 6, fontWeight: 800, opacity: 0.95 }}>
+                      {status}
+                      {r.timestamp ? ` • ${r.timestamp}` : ""}
+                      {r.missing ? " • Not on latest roster" : ""}
+                    </div>
+                  </button>
+                  {done ? (
+                    <button
+                      style={styles.revertBtn}
+                      onClick={() => runUndo(() => revertRecord(r.id, nowStamp()))}
+                      title="Revert to the state before the last scan"
+                      aria-label="Revert"
+                    >
+                      ↩
+                    </button>
+                  ) : null}
+                </div>
               );
             })
         )}
@@ -1285,6 +3941,28 @@ export default function App() {
   );
 }
 
+// Choices offered for new sync codes (the server clamps to 1 min – 24 h, 1–50 uses).
+const SYNC_CODE_TTLS = [
+  { sec: 300, label: "5 min" },
+  { sec: 600, label: "10 min" },
+  { sec: 3600, label: "1 h" },
+  { sec: 4 * 3600, label: "4 h" },
+];
+const SYNC_CODE_USES = [1, 5, 10, 25];
+
+// Stock chip colours by level (see inventory.js).
+const STOCK_LEVEL_STYLES = {
+  ok: { background: "rgba(34,197,94,0.18)", color: "#bbf7d0" },
+  low: { background: "rgba(245,158,11,0.22)", color: "#fde68a" },
+  out: { background: "rgba(239,68,68,0.25)", color: "#fecaca" },
+};
+
+const RAPID_COLORS = {
+  success: "#16a34a",
+  duplicate: "#d97706",
+  notfound: "#ef4444",
+};
+
 const styles = {
   page: {
     minHeight: "100vh",
@@ -1417,6 +4095,12 @@ const styles = {
     border: "1px solid rgba(255,255,255,0.10)",
     background: "rgba(17, 24, 39, 0.75)",
   },
+  stockChip: {
+    padding: "4px 8px",
+    borderRadius: 999,
+    fontWeight: 900,
+    fontSize: 12,
+  },
   pillBarOuter: {
     marginTop: 10,
     height: 10,
@@ -1440,6 +4124,18 @@ const styles = {
     fontWeight: 900,
   },
 
+  select: {
+    flex: 1,
+    minWidth: 160,
+    padding: "12px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.16)",
+    background: "#111827",
+    color: "#e5e7eb",
+    fontWeight: 900,
+    fontSize: 15,
+  },
+
   searchInput: {
     flex: 1,
     minWidth: 240,
@@ -1499,16 +4195,29 @@ const styles = {
   },
 
   list: { maxWidth: 760, margin: "12px auto 0" },
+  rowWrap: { position: "relative", marginTop: 10 },
   rowItem: {
     width: "100%",
     textAlign: "left",
     padding: 14,
-    marginTop: 10,
     borderRadius: 16,
     border: "1px solid rgba(255,255,255,0.08)",
     background: "#0b1220",
     color: "#e5e7eb",
   },
+  revertBtn: {
+    position: "absolute",
+    top: 10,
+    right: 10,
+    border: "1px solid rgba(255,255,255,0.16)",
+    background: "#111827",
+    color: "#e5e7eb",
+    fontWeight: 900,
+    fontSize: 14,
+    cursor: "pointer",
+    padding: "4px 8px",
+    borderRadius: 10,
+  },
   empty: { opacity: 0.85, padding: 18 },
 
   banner: {
@@ -1521,6 +4230,38 @@ const styles = {
     color: "white",
   },
 
+  rapidPanel: {
+    position: "fixed",
+    top: 12,
+    left: 12,
+    right: 12,
+    zIndex: 45,
+    pointerEvents: "none",
+    display: "grid",
+    gap: 8,
+    maxWidth: 760,
+    margin: "0 auto",
+  },
+  toast: {
+    padding: "12px 14px",
+    borderRadius: 14,
+    color: "white",
+    fontWeight: 900,
+    fontSize: 18,
+    whiteSpace: "pre-line",
+    boxShadow: "0 12px 32px rgba(0,0,0,0.35)",
+  },
+  ticker: {
+    padding: "8px 10px",
+    borderRadius: 12,
+    background: "rgba(11,18,32,0.88)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    fontSize: 12,
+    fontWeight: 800,
+  },
+  tickerRow: { display: "flex", alignItems: "center", gap: 8, padding: "2px 0" },
+  tickerDot: { width: 8, height: 8, borderRadius: 999, flex: "0 0 8px" },
+
   bigScanner: {
     position: "fixed",
     left: 12,
@@ -1571,6 +4312,25 @@ const styles = {
     overflow: "hidden",
   },
 
+  camBar: {
+    position: "absolute",
+    left: 8,
+    right: 8,
+    bottom: 8,
+    zIndex: 5,
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 10,
+    padding: "6px 8px",
+    borderRadius: 12,
+    background: "rgba(11,18,32,0.8)",
+    fontSize: 12,
+    fontWeight: 800,
+  },
+  camSlider: { display: "flex", alignItems: "center", gap: 6, flex: "1 1 140px" },
+  camNa: { opacity: 0.55 },
+
   scanHintBand: {
     position: "absolute",
     left: "5%",
@@ -1608,6 +4368,45 @@ const styles = {
     borderBottom: "1px solid rgba(255,255,255,0.08)",
     marginBottom: 12,
   },
+  modalList: {
+    maxHeight: "40vh",
+    overflowY: "auto",
+  },
+  eventRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    flexWrap: "wrap",
+    padding: "10px 0",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+  },
+  mapRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    marginTop: 6,
+  },
+  reportBox: {
+    marginBottom: 12,
+    padding: 10,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "#111827",
+  },
+  imagePreview: {
+    position: "relative",
+    margin: "0 auto",
+    borderRadius: 14,
+    overflow: "hidden",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  settingLabel: { flex: "0 0 110px", fontWeight: 900, fontSize: 13 },
+  diffRow: {
+    padding: "6px 0",
+    fontSize: 13,
+    fontWeight: 800,
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+  },
   modalSubTitle: {
     fontWeight: 900,
     opacity: 0.9,
@@ -1624,6 +4423,15 @@ const styles = {
     letterSpacing: "0.12em",
     textAlign: "center",
   },
+  keyLine: {
+    marginTop: 6,
+    textAlign: "center",
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: 13,
+    fontWeight: 800,
+    opacity: 0.8,
+    wordBreak: "break-all",
+  },
   codeInput: {
     width: "100%",
     borderRadius: 14,
@@ -1636,6 +4444,17 @@ const styles = {
     color: "#e5e7eb",
     textAlign: "center",
   },
+  qrSendControls: { display: "flex", gap: 6, flexWrap: "wrap", justifyContent: "center" },
+  qrFullscreen: {
+    position: "fixed",
+    inset: 0,
+    zIndex: 200,
+    background: "#fff",
+    display: "grid",
+    placeItems: "center",
+    alignContent: "center",
+    padding: 12,
+  },
   qrImg: {
     width: 200,
     height: 200,
@@ -0,0 +1,158 @@
+import { db } from "./db";
+import { exportSettings, getDeviceId, importSettings } from "./settings";
+import { takeSnapshot } from "./snapshots";
+
+/**
+ * Whole-device backup: every event, record and scan plus preferences in one versioned
+ * JSON file, gzipped when the browser can. Works offline; the file can be downloaded or
+ * handed to the share sheet (AirDrop, Nearby Share, mail...).
+ */
+
+export const BACKUP_FORMAT = "sga-backup";
+export const BACKUP_VERSION = 1;
+
+// Tied to this install (identity, live room membership), never carried across devices.
+const LOCAL_ONLY_SETTINGS = ["deviceId", "room", "roomOutbox"];
+
+async function pipeBytes(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+export async function buildBackup() {
+  const [events, records, scans] = await db.transaction(
+    "r",
+    db.events,
+    db.records,
+    db.scans,
+    () => Promise.all([db.events.toArray(), db.records.toArray(), db.scans.toArray()])
+  );
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    device: getDeviceId(),
+    events,
+    records,
+    scans,
+    settings: exportSettings(LOCAL_ONLY_SETTINGS),
+  };
+}
+
+// Resolves a File ready to download or share.
+export async function backupFile(backup) {
+  const day = new Date(backup.createdAt).toISOString().slice(0, 10);
+  const json = new TextEncoder().encode(JSON.stringify(backup));
+  if (typeof CompressionStream !== "undefined") {
+    const gz = await pipeBytes(json, new CompressionStream("gzip"));
+    return new File([gz], `sga-backup-${day}.json.gz`, { type: "application/gzip" });
+  }
+  return new File([json], `sga-backup-${day}.json`, { type: "application/json" });
+}
+
+export function downloadFile(file) {
+  const url = URL.createObjectURL(file);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = file.name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function canShareFile(file) {
+  return !!navigator.canShare && navigator.canShare({ files: [file] });
+}
+
+// Resolves false if the user closed the share sheet.
+export async function shareFile(file) {
+  try {
+    await navigator.share({ files: [file], title: "Scanner backup" });
+    return true;
+  } catch (e) {
+    if (e?.name === "AbortError") return false;
+    throw e;
+  }
+}
+
+function isRowList(list, check) {
+  return Array.isArray(list) && list.every((x) => x && typeof x === "object" && check(x));
+}
+
+// Throws a readable error unless `b` is a backup this version can restore.
+export function validateBackup(b) {
+  if (!b || b.format !== BACKUP_FORMAT) throw new Error("Not a scanner backup file");
+  if (!Number.isInteger(b.version) || b.version < 1) throw new Error("Backup version is missing");
+  if (b.version > BACKUP_VERSION) {
+    throw new Error(`Backup is from a newer version (v${b.version}); update the app first`);
+  }
+  if (!isRowList(b.events, (e) => Number.isInteger(e.id) && typeof e.name === "string")) {
+    throw new Error("Backup events are damaged");
+  }
+  const eventIds = new Set(b.events.map((e) => e.id));
+  if (!isRowList(b.records, (r) => Number.isInteger(r.id) && eventIds.has(r.eventId))) {
+    throw new Error("Backup records are damaged");
+  }
+  if (!isRowList(b.scans, (s) => Number.isInteger(s.id))) {
+    throw new Error("Backup history is damaged");
+  }
+  if (b.settings != null && (typeof b.settings !== "object" || Array.isArray(b.settings))) {
+    throw new Error("Backup settings are damaged");
+  }
+  return b;
+}
+
+// Reads a .json or .json.gz backup. Resolves the validated backup.
+export async function readBackupFile(file) {
+  let bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser can't unpack compressed backups (update it and try again)");
+    }
+    bytes = await pipeBytes(bytes, new DecompressionStream("gzip"));
+  }
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("Backup file is not valid JSON");
+  }
+  return validateBackup(data);
+}
+
+// Per-event record counts for the "what's inside" preview.
+export function summarizeBackup(b) {
+  const perEvent = b.events.map((e) => {
+    const rows = b.records.filter((r) => r.eventId === e.id);
+    return {
+      id: e.id,
+      name: e.name,
+      mode: e.mode,
+      archived: !!e.archived,
+      records: rows.length,
+      done: rows.filter((r) => r.scanned || r.received).length,
+    };
+  });
+  return {
+    createdAt: b.createdAt,
+    device: b.device || "",
+    version: b.version,
+    events: perEvent,
+    records: b.records.length,
+    scans: b.scans.length,
+    settings: Object.keys(b.settings || {}).length,
+  };
+}
+
+// Replaces all local data with the backup. The current events, records and scan history
+// are kept as a restore point first, so rolling back brings this device's history back too.
+export async function restoreBackup(b) {
+  validateBackup(b);
+  await takeSnapshot("backup");
+  await db.transaction("rw", db.events, db.records, db.scans, async () => {
+    await Promise.all([db.events.clear(), db.records.clear(), db.scans.clear()]);
+    await db.events.bulkPut(b.events);
+    await db.records.bulkPut(b.records);
+    await db.scans.bulkPut(b.scans);
+  });
+  importSettings(b.settings, LOCAL_ONLY_SETTINGS);
+}
@@ -0,0 +1,80 @@
+import { loadSetting, saveSetting } from "./settings";
+
+// Range-style track constraints we expose as sliders.
+export const RANGE_CONTROLS = [
+  { key: "zoom", label: "Zoom" },
+  { key: "exposureCompensation", label: "Exposure" },
+  { key: "brightness", label: "Brightness" },
+];
+
+/**
+ * Reads what the live camera track can do. Unsupported controls come back as null
+ * (torch as false) so the UI can say so instead of failing silently.
+ */
+export function readControls(track) {
+  const caps = track?.getCapabilities?.() || {};
+  const settings = track?.getSettings?.() || {};
+  const out = {
+    deviceId: settings.deviceId || "",
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+    torchOn: !!settings.torch,
+  };
+  RANGE_CONTROLS.forEach(({ key }) => {
+    const c = caps[key];
+    out[key] =
+      c && typeof c.min === "number" && typeof c.max === "number" && c.max > c.min
+        ? {
+            min: c.min,
+            max: c.max,
+            step: c.step || (c.max - c.min) / 100,
+            value: typeof settings[key] === "number" ? settings[key] : c.min,
+          }
+        : null;
+  });
+  return out;
+}
+
+export async function applyControl(track, key, value) {
+  if (!track?.applyConstraints) throw new Error("Camera controls not available");
+  // Exposure compensation biases auto-exposure, so keep auto-exposure running.
+  const extra = key === "exposureCompensation" ? { exposureMode: "continuous" } : {};
+  await track.applyConstraints({ advanced: [{ ...extra, [key]: value }] });
+}
+
+export function loadCameraPrefs(deviceId) {
+  if (!deviceId) return {};
+  return loadSetting("cameraPrefs", {})[deviceId] || {};
+}
+
+export function saveCameraPref(deviceId, key, value) {
+  if (!deviceId) return;
+  const all = loadSetting("cameraPrefs", {});
+  all[deviceId] = { ...(all[deviceId] || {}), [key]: value };
+  saveSetting("cameraPrefs", all);
+}
+
+// Re-applies the remembered settings for this camera; returns the controls as applied.
+export async function restoreCameraPrefs(track, controls) {
+  const prefs = loadCameraPrefs(controls.deviceId);
+  const next = { ...controls };
+  if (controls.torch && typeof prefs.torch === "boolean") {
+    try {
+      await applyControl(track, "torch", prefs.torch);
+      next.torchOn = prefs.torch;
+    } catch {
+      // keep the current state
+    }
+  }
+  for (const { key } of RANGE_CONTROLS) {
+    const c = controls[key];
+    if (!c || typeof prefs[key] !== "number") continue;
+    const value = Math.min(c.max, Math.max(c.min, prefs[key]));
+    try {
+      await applyControl(track, key, value);
+      next[key] = { ...c, value };
+    } catch {
+      // keep the current value
+    }
+  }
+  return next;
+}
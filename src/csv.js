@@ -1,11 +1,24 @@
 import Papa from "papaparse";
 
+// Resolves { rows, fields, lines } — fields are the header names in file order and
+// lines[i] is the spreadsheet row rows[i] came from. Blank rows are dropped here rather
+// than by Papa so they still count toward those row numbers.
 export function parseCSV(file) {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
       header: true,
-      skipEmptyLines: true,
-      complete: (res) => resolve(res.data),
+      skipEmptyLines: false,
+      transformHeader: (h) => String(h ?? "").trim(),
+      complete: (res) => {
+        const rows = [];
+        const lines = [];
+        res.data.forEach((r, i) => {
+          if (!Object.values(r).some((v) => String(v ?? "").trim() !== "")) return;
+          rows.push(r);
+          lines.push(i + 2); // the header is row 1
+        });
+        resolve({ rows, fields: res.meta?.fields || [], lines });
+      },
       error: reject,
     });
   });
@@ -2,6 +2,67 @@ import Dexie from "dexie";
 
 export const db = new Dexie("sga_pwa_db");
 
+// Sync matches events by uid; local auto-increment ids differ between devices.
+export function makeUid() {
+  return `ev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 db.version(2).stores({
   records: "++id, mode, studentId, name, type, scanned, received, timestamp"
 });
+
+// v3: records belong to a named event instead of a global per-mode list.
+db.version(3)
+  .stores({
+    events: "++id, name, mode, createdAt",
+    records: "++id, eventId, mode, studentId, name, type, scanned, received, timestamp"
+  })
+  .upgrade(async (tx) => {
+    // Move each old per-mode list into its own event so nothing is lost.
+    const now = Date.now();
+    const events = tx.table("events");
+    const eventsId = await events.add({ name: "Events", mode: "events", archived: false, createdAt: now });
+    const distId = await events.add({
+      name: "Distribution",
+      mode: "distribution",
+      archived: false,
+      createdAt: now + 1,
+    });
+    await tx
+      .table("records")
+      .toCollection()
+      .modify((r) => {
+        r.eventId = r.mode === "distribution" ? distId : eventsId;
+      });
+  });
+
+// v4: every scan attempt is logged for undo and as an audit trail.
+db.version(4).stores({
+  events: "++id, name, mode, createdAt",
+  records: "++id, eventId, mode, studentId, name, type, scanned, received, timestamp",
+  scans: "++id, eventId, recordId, at"
+});
+
+// v5: events get a uid so sync can match them across devices (local ids differ per install).
+db.version(5)
+  .stores({
+    events: "++id, uid, name, mode, createdAt",
+    records: "++id, eventId, mode, studentId, name, type, scanned, received, timestamp",
+    scans: "++id, eventId, recordId, at"
+  })
+  .upgrade(async (tx) => {
+    await tx
+      .table("events")
+      .toCollection()
+      .modify((e) => {
+        if (!e.uid) e.uid = makeUid();
+      });
+  });
+
+// v6: local restore points taken before sync, import and reset.
+db.version(6).stores({
+  events: "++id, uid, name, mode, createdAt",
+  records: "++id, eventId, mode, studentId, name, type, scanned, received, timestamp",
+  scans: "++id, eventId, recordId, at",
+  snapshots: "++id, createdAt, reason"
+});
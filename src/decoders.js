@@ -0,0 +1,403 @@
+import Quagga from "@ericblade/quagga2";
+import { decodeQrCanvas, decodeQrVideoFrame } from "./qrDecoder";
+import { quaggaReaders } from "./scanProfile";
+
+/**
+ * Camera decoder engines for the main scanner.
+ *
+ * Every engine mounts its own <video> (+ overlay canvas) inside `target` and exposes:
+ *   start({ target, constraints, profile, onCode, onLocked }) -> Promise (rejects on failure)
+ *   stop()
+ *   getVideo() -> HTMLVideoElement | null
+ * `onCode(rawText)` fires for every decode; debouncing and submit stay in App.
+ */
+
+export const ENGINE_LABELS = {
+  native: "Native",
+  quagga: "Quagga2",
+  qr: "QR",
+};
+
+// Quagga reader -> BarcodeDetector format
+const NATIVE_FORMATS = {
+  code_39_reader: "code_39",
+  code_128_reader: "code_128",
+  ean_reader: "ean_13",
+  ean_8_reader: "ean_8",
+  upc_reader: "upc_a",
+  codabar_reader: "codabar",
+  i2of5_reader: "itf",
+};
+
+export function neededFormats(profile) {
+  const formats = quaggaReaders(profile).map((r) => NATIVE_FORMATS[r]).filter(Boolean);
+  if (profile.qr) formats.push("qr_code");
+  return formats;
+}
+
+export async function nativeSupports(formats) {
+  if (typeof window === "undefined" || !("BarcodeDetector" in window)) return false;
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    return formats.every((f) => supported.includes(f));
+  } catch {
+    return false;
+  }
+}
+
+// profile.engine: auto | quagga. Native is only used when it can read every format.
+export async function pickEngine(profile) {
+  if (profile.engine === "quagga") return "quagga";
+  if (await nativeSupports(neededFormats(profile))) return "native";
+  return "quagga";
+}
+
+export function createDecoder(engine) {
+  return engine === "native" ? createNativeDecoder() : createQuaggaDecoder();
+}
+
+function throttled(fn, ms) {
+  let last = 0;
+  return (...args) => {
+    const now = Date.now();
+    if (now - last <= ms) return;
+    last = now;
+    fn(...args);
+  };
+}
+
+// ---- Native BarcodeDetector ----
+
+function createNativeDecoder() {
+  let stream = null;
+  let video = null;
+  let overlay = null;
+  let raf = null;
+  let stopped = false;
+
+  function drawCodes(codes) {
+    if (!overlay || !video) return;
+    if (overlay.width !== video.videoWidth) overlay.width = video.videoWidth;
+    if (overlay.height !== video.videoHeight) overlay.height = video.videoHeight;
+    const ctx = overlay.getContext("2d");
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    ctx.strokeStyle = "rgba(0,255,0,0.9)";
+    ctx.lineWidth = 3;
+    codes.forEach((c) => {
+      const pts = c.cornerPoints || [];
+      if (!pts.length) return;
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      pts.slice(1).forEach((p) => ctx.lineTo(p.x, p.y));
+      ctx.closePath();
+      ctx.stroke();
+    });
+  }
+
+  return {
+    name: "native",
+
+    async start({ target, constraints, profile, onCode, onLocked }) {
+      stopped = false;
+      const detector = new window.BarcodeDetector({ formats: neededFormats(profile) });
+      const locked = throttled(onLocked || (() => {}), 1200);
+
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          ...constraints,
+          width: { ideal: 1280 },
+          height: { ideal: 720 },
+        },
+        audio: false,
+      });
+      if (stopped) {
+        stream.getTracks().forEach((t) => t.stop());
+        return;
+      }
+
+      video = document.createElement("video");
+      video.setAttribute("playsinline", "");
+      video.muted = true;
+      video.srcObject = stream;
+      overlay = document.createElement("canvas");
+      target.appendChild(video);
+      target.appendChild(overlay);
+      await video.play();
+
+      let last = 0;
+      const loop = async (t) => {
+        if (stopped) return;
+        // ~10 fps is plenty for a handheld card and keeps the phone cool.
+        if (t - last >= 100 && video.readyState >= 2) {
+          last = t;
+          try {
+            const codes = await detector.detect(video);
+            drawCodes(codes || []);
+            const hit = (codes || []).find((c) => c.rawValue);
+            if (hit && !stopped) {
+              locked();
+              onCode(String(hit.rawValue));
+            }
+          } catch {
+            // ignore and continue
+          }
+        }
+        if (!stopped) raf = requestAnimationFrame(loop);
+      };
+      raf = requestAnimationFrame(loop);
+    },
+
+    stop() {
+      stopped = true;
+      if (raf) cancelAnimationFrame(raf);
+      raf = null;
+      if (stream) stream.getTracks().forEach((t) => t.stop());
+      stream = null;
+      if (video) {
+        video.srcObject = null;
+        video.remove();
+      }
+      if (overlay) overlay.remove();
+      video = null;
+      overlay = null;
+    },
+
+    getVideo: () => video,
+  };
+}
+
+// ---- Quagga2 (+ QR frames through the second decoder) ----
+
+function createQuaggaDecoder() {
+  let running = false;
+  let handlers = null;
+  let qrTimer = null;
+  let target = null;
+
+  function drawResult(result, locked) {
+    const ctx = Quagga.canvas?.ctx?.overlay;
+    const canvas = Quagga.canvas?.dom?.overlay;
+    if (!ctx || !canvas) return;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!result) return;
+
+    if (result.boxes) {
+      result.boxes
+        .filter((b) => b !== result.box)
+        .forEach((box) => {
+          Quagga.ImageDebug.drawPath(box, { x: 0, y: 1 }, ctx, {
+            color: "rgba(0,255,0,0.35)",
+            lineWidth: 2,
+          });
+        });
+    }
+
+    if (result.box) {
+      Quagga.ImageDebug.drawPath(result.box, { x: 0, y: 1 }, ctx, {
+        color: "rgba(0,255,0,0.9)",
+        lineWidth: 3,
+      });
+      locked();
+    }
+
+    if (result.line) {
+      Quagga.ImageDebug.drawPath(result.line, { x: "x", y: "y" }, ctx, {
+        color: "rgba(255,0,0,0.9)",
+        lineWidth: 3,
+      });
+    }
+  }
+
+  function startQrFrames(onCode) {
+    const canvas = document.createElement("canvas");
+    let busy = false;
+    qrTimer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        const text = await decodeQrVideoFrame(target?.querySelector("video"), canvas);
+        if (text && qrTimer) onCode(text);
+      } finally {
+        busy = false;
+      }
+    }, 350);
+  }
+
+  return {
+    name: "quagga",
+
+    start(opts) {
+      const { constraints, profile, onCode, onLocked } = opts;
+      target = opts.target;
+      const locked = throttled(onLocked || (() => {}), 1200);
+
+      return new Promise((resolve, reject) => {
+        Quagga.init(
+          {
+            numOfWorkers: Math.min(4, navigator.hardwareConcurrency || 2),
+            inputStream: {
+              type: "LiveStream",
+              target,
+              constraints: {
+                ...constraints,
+                width: { ideal: 1920 },
+                height: { ideal: 1080 },
+                frameRate: { ideal: 30, max: 60 },
+              },
+              area: { top: "25%", right: "0%", left: "0%", bottom: "25%" },
+            },
+            locator: {
+              locate: true,
+              halfSample: false,
+              patchSize: "x-small",
+            },
+            decoder: {
+              readers: quaggaReaders(profile),
+            },
+            locate: true,
+          },
+          (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+
+            handlers = {
+              processed: (result) => {
+                try {
+                  drawResult(result, locked);
+                  if (result?.codeResult?.code) onCode(result.codeResult.code);
+                } catch {
+                  // ignore
+                }
+              },
+              detected: (result) => {
+                const code = result?.codeResult?.code;
+                if (code) onCode(code);
+              },
+            };
+            Quagga.onProcessed(handlers.processed);
+            Quagga.onDetected(handlers.detected);
+            Quagga.start();
+            running = true;
+            if (profile.qr) startQrFrames(onCode);
+            resolve();
+          }
+        );
+      });
+    },
+
+    stop() {
+      if (qrTimer) clearInterval(qrTimer);
+      qrTimer = null;
+      try {
+        if (!running) return;
+        if (handlers) {
+          Quagga.offDetected(handlers.detected);
+          Quagga.offProcessed(handlers.processed);
+        }
+        Quagga.stop();
+      } catch {
+        // ignore
+      } finally {
+        running = false;
+        handlers = null;
+      }
+    },
+
+    getVideo: () => target?.querySelector("video") || null,
+  };
+}
+
+// ---- Still images (photo / screenshot) ----
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Could not read image"));
+    img.src = url;
+  });
+}
+
+function quaggaDecodeImage(src, size, profile) {
+  return new Promise((resolve) => {
+    try {
+      Quagga.decodeSingle(
+        {
+          src,
+          numOfWorkers: 0,
+          inputStream: { size },
+          locator: { patchSize: "medium", halfSample: true },
+          decoder: { readers: quaggaReaders(profile) },
+          locate: true,
+        },
+        (result) => resolve(result || null)
+      );
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Decodes a picked/captured photo. Tries the native detector, then Quagga's single-image
+ * decode, then the QR decoder. Resolves
+ *   { url, width, height, code, points: [{x, y}] | null, engine }
+ * in image pixel coordinates; `code` is "" when nothing was found. Caller revokes `url`.
+ */
+export async function decodeImageFile(file, profile) {
+  const url = URL.createObjectURL(file);
+  let img;
+  try {
+    img = await loadImage(url);
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    throw e;
+  }
+
+  // Phone photos are huge; decoders do better (and faster) on a moderate size.
+  const scale = Math.min(1, 1600 / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const out = {
+    url,
+    width: canvas.width,
+    height: canvas.height,
+    code: "",
+    points: null,
+    engine: "",
+  };
+
+  if (typeof window !== "undefined" && "BarcodeDetector" in window) {
+    try {
+      const codes = await new window.BarcodeDetector().detect(canvas);
+      const hit = (codes || []).find((c) => c.rawValue);
+      if (hit) {
+        const points = hit.cornerPoints || null;
+        return { ...out, code: String(hit.rawValue), points, engine: "native" };
+      }
+    } catch {
+      // fall through to Quagga
+    }
+  }
+
+  const res = await quaggaDecodeImage(
+    canvas.toDataURL("image/jpeg", 0.92),
+    Math.max(canvas.width, canvas.height),
+    profile
+  );
+  if (res?.codeResult?.code) {
+    const points = Array.isArray(res.box) ? res.box.map(([x, y]) => ({ x, y })) : null;
+    return { ...out, code: String(res.codeResult.code), points, engine: "quagga" };
+  }
+
+  const qr = await decodeQrCanvas(canvas);
+  if (qr) return { ...out, code: qr, engine: "qr" };
+
+  return out;
+}
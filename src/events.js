@@ -0,0 +1,83 @@
+import { db, makeUid } from "./db";
+
+export const MODE_LABELS = {
+  events: "Events",
+  distribution: "Distribution",
+};
+
+// Fresh installs start with one event per mode, matching the old two-list layout.
+export async function ensureDefaultEvents() {
+  if ((await db.events.count()) > 0) return;
+  const now = Date.now();
+  await db.events.bulkAdd([
+    { uid: makeUid(), name: "Events", mode: "events", archived: false, createdAt: now },
+    { uid: makeUid(), name: "Distribution", mode: "distribution", archived: false, createdAt: now + 1 },
+  ]);
+}
+
+export async function listEvents() {
+  return db.events.orderBy("createdAt").toArray();
+}
+
+export async function createEvent(name, mode = "events") {
+  const n = String(name ?? "").trim();
+  if (!n) throw new Error("Event name is required");
+  return db.events.add({
+    uid: makeUid(),
+    name: n,
+    mode: mode === "distribution" ? "distribution" : "events",
+    archived: false,
+    createdAt: Date.now(),
+  });
+}
+
+export async function renameEvent(id, name) {
+  const n = String(name ?? "").trim();
+  if (!n) throw new Error("Event name is required");
+  await db.events.update(id, { name: n });
+}
+
+export async function setEventMode(id, mode) {
+  const m = mode === "distribution" ? "distribution" : "events";
+  await db.transaction("rw", db.events, db.records, async () => {
+    await db.events.update(id, { mode: m });
+    await db.records.where({ eventId: id }).modify({ mode: m });
+  });
+}
+
+export async function setEventArchived(id, archived) {
+  await db.events.update(id, { archived: !!archived });
+}
+
+export async function deleteEvent(id) {
+  await db.transaction("rw", db.events, db.records, db.scans, async () => {
+    await db.records.where({ eventId: id }).delete();
+    await db.scans.where({ eventId: id }).delete();
+    await db.events.delete(id);
+  });
+}
+
+// First open event for a mode, created on demand.
+export async function defaultEventIdFor(mode) {
+  const m = mode === "distribution" ? "distribution" : "events";
+  const all = await listEvents();
+  const found = all.find((e) => e.mode === m && !e.archived);
+  if (found) return found.id;
+  return createEvent(MODE_LABELS[m], m);
+}
+
+// Records from older devices/payloads have no eventId; file them under their mode's event.
+export async function attachLegacyRecords(records) {
+  const byMode = {};
+  const out = [];
+  for (const r of records) {
+    if (r.eventId != null) {
+      out.push(r);
+      continue;
+    }
+    const m = r.mode === "distribution" ? "distribution" : "events";
+    if (byMode[m] == null) byMode[m] = await defaultEventIdFor(m);
+    out.push({ ...r, mode: m, eventId: byMode[m] });
+  }
+  return out;
+}
@@ -0,0 +1,85 @@
+import { loadSetting, saveSetting } from "./settings";
+
+// Rapid-scan mode: compact toasts + sound/vibration instead of the full-screen banner.
+export const DEFAULT_RAPID = {
+  enabled: false,
+  toastSeconds: 1.0,
+  historySize: 5,
+  sound: true,
+  vibrate: true,
+};
+
+export function loadRapidSettings() {
+  return { ...DEFAULT_RAPID, ...(loadSetting("rapid", null) || {}) };
+}
+
+export function saveRapidSettings(rapid) {
+  saveSetting("rapid", rapid);
+}
+
+// kind: success | duplicate | notfound
+const TONES = {
+  success: [{ f: 1320, d: 0.09 }],
+  duplicate: [
+    { f: 660, d: 0.08 },
+    { f: 0, d: 0.05 },
+    { f: 660, d: 0.08 },
+  ],
+  notfound: [{ f: 220, d: 0.35 }],
+};
+
+const VIBRATIONS = {
+  success: [40],
+  duplicate: [60, 60, 60],
+  notfound: [250],
+};
+
+let audioCtx = null;
+
+function getAudio() {
+  if (typeof window === "undefined") return null;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!audioCtx) audioCtx = new Ctx();
+  // iOS starts the context suspended until a user gesture; resume is a no-op otherwise.
+  if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
+  return audioCtx;
+}
+
+function playTones(tones) {
+  const ctx = getAudio();
+  if (!ctx) return;
+  let t = ctx.currentTime;
+  tones.forEach(({ f, d }) => {
+    if (f) {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = "square";
+      osc.frequency.value = f;
+      gain.gain.setValueAtTime(0.12, t);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + d);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(t);
+      osc.stop(t + d);
+    }
+    t += d;
+  });
+}
+
+export function playFeedback(kind, { sound = true, vibrate = true } = {}) {
+  try {
+    if (sound && TONES[kind]) playTones(TONES[kind]);
+    if (vibrate && VIBRATIONS[kind] && navigator.vibrate) navigator.vibrate(VIBRATIONS[kind]);
+  } catch {
+    // ignore (no audio / vibration on this device)
+  }
+}
+
+// Call from a tap handler so iOS lets the page make sound later.
+export function unlockAudio() {
+  try {
+    getAudio();
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,97 @@
+import { db } from "./db";
+import { getDeviceId } from "./settings";
+import { trackChanges } from "./sync";
+
+// Outcomes that changed a record (and so can be undone).
+export const CHANGING_OUTCOMES = ["checked_in", "received"];
+
+export const OUTCOME_LABELS = {
+  checked_in: "Checked in",
+  received: "Received",
+  not_found: "Not found",
+  duplicate: "Already checked in",
+  all_received: "Already received",
+  out_of_stock: "Out of stock",
+  undo: "Undone",
+};
+
+function snapshotOf(record) {
+  if (!record) return null;
+  return {
+    scanned: !!record.scanned,
+    received: !!record.received,
+    timestamp: record.timestamp ?? "",
+  };
+}
+
+export async function logScan({ eventId, value, outcome, record = null, prev = null, stamp = "" }) {
+  return db.scans.add({
+    eventId,
+    value: String(value ?? ""),
+    outcome,
+    recordId: record?.id ?? null,
+    studentId: record?.studentId ?? "",
+    name: record?.name ?? "",
+    prev: prev ? snapshotOf(prev) : null,
+    undone: false,
+    at: Date.now(),
+    stamp,
+    device: getDeviceId(),
+  });
+}
+
+export async function listScans(eventId, limit = 200) {
+  const rows = await db.scans.where({ eventId }).toArray();
+  return rows.sort((a, b) => b.at - a.at || b.id - a.id).slice(0, limit);
+}
+
+export function isUndoable(s) {
+  return (
+    !s.undone &&
+    !s.orphaned &&
+    s.recordId != null &&
+    s.prev &&
+    CHANGING_OUTCOMES.includes(s.outcome)
+  );
+}
+
+// After an event's records are wiped (Reset, replace import) its scans stay as an audit
+// trail but point at rows that are gone; flag them so undo skips them.
+export async function orphanScans(eventId) {
+  await db.scans
+    .where({ eventId })
+    .filter((s) => s.recordId != null && !s.orphaned)
+    .modify({ orphaned: true });
+}
+
+// Restores the record to its state before `scan` and logs the undo.
+export async function undoScan(scanId, stamp = "") {
+  return db.transaction("rw", db.scans, db.records, async () => {
+    const scan = await db.scans.get(scanId);
+    if (!scan || !isUndoable(scan)) throw new Error("Nothing to undo");
+
+    const record = await db.records.get(scan.recordId);
+    if (!record || (record.studentId ?? "") !== (scan.studentId ?? "")) {
+      throw new Error("Record no longer exists");
+    }
+
+    await db.records.update(record.id, trackChanges(record, { ...scan.prev }));
+    await db.scans.update(scan.id, { undone: true, undoneAt: Date.now() });
+    await logScan({ eventId: scan.eventId, value: scan.value, outcome: "undo", record, stamp });
+    return { scan, record };
+  });
+}
+
+export async function undoLastScan(eventId, stamp = "") {
+  const rows = await listScans(eventId, Infinity);
+  const last = rows.find(isUndoable);
+  if (!last) throw new Error("Nothing to undo");
+  return undoScan(last.id, stamp);
+}
+
+export async function revertRecord(recordId, stamp = "") {
+  const rows = await db.scans.where({ recordId }).toArray();
+  const last = rows.sort((a, b) => b.at - a.at || b.id - a.id).find(isUndoable);
+  if (!last) throw new Error("Nothing to revert");
+  return undoScan(last.id, stamp);
+}
@@ -0,0 +1,118 @@
+import { db } from "./db";
+import { orphanScans } from "./history";
+import { trackChanges } from "./sync";
+
+export const IMPORT_STRATEGIES = [
+  { key: "merge", label: "Merge by ID" },
+  { key: "append", label: "Append new only" },
+  { key: "replace", label: "Replace all" },
+];
+
+// Fields a merge is allowed to overwrite; progress is only ever added, never cleared.
+const MERGE_FIELDS = ["name", "type"];
+
+function keyOf(r) {
+  const id = String(r.studentId ?? "").trim();
+  if (id) return `id:${id}`;
+  return `name:${String(r.name ?? "").trim().toLowerCase()}`;
+}
+
+// Same student + same item type (the key sync.js uses), so reordered rows keep their progress.
+function typedKeyOf(r) {
+  return `${keyOf(r)}|${String(r.type ?? "").trim().toLowerCase()}`;
+}
+
+// Pairs the nth existing row of a key with the nth incoming row of that key
+// (a distribution list can hold several items for one student).
+function pairBy(existing, incoming, key) {
+  const pool = new Map();
+  existing.forEach((r) => {
+    const k = key(r);
+    if (!pool.has(k)) pool.set(k, []);
+    pool.get(k).push(r);
+  });
+
+  const pairs = [];
+  const unmatched = [];
+  incoming.forEach((r) => {
+    const list = pool.get(key(r));
+    if (list && list.length) pairs.push([list.shift(), r]);
+    else unmatched.push(r);
+  });
+
+  const leftover = [...pool.values()].flat();
+  return { pairs, unmatched, leftover };
+}
+
+// Matches on student + type first; rows left over pair up by student and position
+// (e.g. an item whose type was corrected in the roster).
+function pairUp(existing, incoming) {
+  const typed = pairBy(existing, incoming, typedKeyOf);
+  const rest = pairBy(typed.leftover, typed.unmatched, keyOf);
+  return {
+    pairs: [...typed.pairs, ...rest.pairs],
+    unmatched: rest.unmatched,
+    leftover: rest.leftover,
+  };
+}
+
+function mergeChanges(before, row) {
+  const changes = {};
+  MERGE_FIELDS.forEach((f) => {
+    if (String(row[f] ?? "") !== String(before[f] ?? "")) changes[f] = row[f] ?? "";
+  });
+  if (JSON.stringify(row.extra || {}) !== JSON.stringify(before.extra || {})) {
+    changes.extra = row.extra || {};
+  }
+  if (before.missing) changes.missing = false;
+  if (row.scanned && !before.scanned) changes.scanned = true;
+  if (row.received && !before.received) changes.received = true;
+  if ((changes.scanned || changes.received) && row.timestamp && !before.timestamp) {
+    changes.timestamp = row.timestamp;
+  }
+  return changes;
+}
+
+// Works out what an import would do without touching the database.
+export function planImport(existing, incoming, strategy) {
+  if (strategy === "replace") {
+    return { strategy, added: incoming, updated: [], removed: existing, unchanged: 0 };
+  }
+
+  const { pairs, unmatched, leftover } = pairUp(existing, incoming);
+
+  if (strategy === "append") {
+    return { strategy, added: unmatched, updated: [], removed: [], unchanged: pairs.length };
+  }
+
+  const updated = [];
+  let unchanged = 0;
+  pairs.forEach(([before, row]) => {
+    const changes = mergeChanges(before, row);
+    if (Object.keys(changes).length) updated.push({ before, changes });
+    else unchanged += 1;
+  });
+
+  // Merge never deletes: rows missing from the new roster are only flagged.
+  const removed = leftover.filter((r) => !r.missing);
+  return { strategy, added: unmatched, updated, removed, unchanged };
+}
+
+export async function applyImportPlan(plan, { eventId, mode }) {
+  await db.transaction("rw", db.records, db.scans, async () => {
+    if (plan.strategy === "replace") {
+      await db.records.where({ eventId }).delete();
+      await orphanScans(eventId);
+    } else if (plan.strategy === "merge") {
+      for (const r of plan.removed) {
+        await db.records.update(r.id, trackChanges(r, { missing: true }));
+      }
+    }
+
+    for (const u of plan.updated) {
+      await db.records.update(u.before.id, trackChanges(u.before, u.changes));
+    }
+
+    await db.records.bulkAdd(plan.added.map((r) => trackChanges(null, { ...r, eventId, mode })));
+  });
+}
@@ -0,0 +1,88 @@
+import { db } from "./db";
+
+/**
+ * Distribution stock per item type (shirt size etc.). The event keeps how many of each
+ * type were put out (`stock`); what's left is that minus the records already received,
+ * so undo, sync and re-imports keep the count right without a separate counter.
+ * Types without a stock entry are not tracked.
+ */
+
+export const LOW_STOCK_DEFAULT = 5;
+
+// "" is a real type (rows imported without one).
+export function typeKey(type) {
+  return String(type ?? "").trim();
+}
+
+export function typeLabel(key) {
+  return key || "(no type)";
+}
+
+export async function saveEventStock(eventId, stock, lowStockAt) {
+  const clean = {};
+  Object.entries(stock || {}).forEach(([type, n]) => {
+    const count = Math.floor(Number(n));
+    if (String(n).trim() !== "" && Number.isFinite(count) && count >= 0) clean[typeKey(type)] = count;
+  });
+  const low = Math.floor(Number(lowStockAt));
+  await db.events.update(eventId, {
+    stock: clean,
+    lowStockAt: Number.isFinite(low) && low >= 0 ? low : LOW_STOCK_DEFAULT,
+  });
+}
+
+export function hasStock(event) {
+  return !!event?.stock && Object.keys(event.stock).length > 0;
+}
+
+// "out" | "low" | "ok", or null when the type isn't tracked.
+export function stockLevel(remaining, lowStockAt = LOW_STOCK_DEFAULT) {
+  if (remaining == null) return null;
+  if (remaining <= 0) return "out";
+  if (remaining <= lowStockAt) return "low";
+  return "ok";
+}
+
+/**
+ * One row per type seen in the records or the stock table:
+ *   { type, stock, ordered, handedOut, owed, remaining, short, level }
+ * stock/remaining/short/level are null for untracked types; short is how many orders
+ * still waiting can't be covered by what's left.
+ */
+export function stockReport(records, event) {
+  const stock = event?.stock || {};
+  const low = event?.lowStockAt ?? LOW_STOCK_DEFAULT;
+  const byType = new Map(Object.keys(stock).map((t) => [t, { ordered: 0, handedOut: 0 }]));
+  records.forEach((r) => {
+    const t = typeKey(r.type);
+    if (!byType.has(t)) byType.set(t, { ordered: 0, handedOut: 0 });
+    const row = byType.get(t);
+    row.ordered += 1;
+    if (r.received) row.handedOut += 1;
+  });
+  return [...byType.entries()]
+    .map(([type, { ordered, handedOut }]) => {
+      const tracked = Object.prototype.hasOwnProperty.call(stock, type);
+      const remaining = tracked ? stock[type] - handedOut : null;
+      const owed = ordered - handedOut;
+      return {
+        type,
+        stock: tracked ? stock[type] : null,
+        ordered,
+        handedOut,
+        owed,
+        remaining,
+        short: tracked ? Math.max(0, owed - Math.max(0, remaining)) : null,
+        level: stockLevel(remaining, low),
+      };
+    })
+    .sort((a, b) => a.type.localeCompare(b.type, undefined, { numeric: true }));
+}
+
+// Remaining stock for one type before the next handout, or null when untracked.
+export function remainingFor(records, event, type) {
+  const stock = event?.stock || {};
+  const t = typeKey(type);
+  if (!Object.prototype.hasOwnProperty.call(stock, t)) return null;
+  return stock[t] - records.filter((r) => r.received && typeKey(r.type) === t).length;
+}
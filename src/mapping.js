@@ -0,0 +1,103 @@
+import { loadSetting, saveSetting } from "./settings";
+
+// App fields a CSV column can be mapped to. `name` wins over first+last when both are set.
+export const MAPPABLE_FIELDS = [
+  {
+    key: "studentId",
+    label: "Student ID",
+    aliases: ["id", "student id", "studentid", "student number", "student no", "student #"],
+  },
+  { key: "name", label: "Full name", aliases: ["name", "full name", "student name"] },
+  { key: "firstName", label: "First name", aliases: ["first name", "first", "given name"] },
+  { key: "lastName", label: "Last name", aliases: ["last name", "last", "surname"] },
+  { key: "type", label: "Type / size", aliases: ["type", "size", "shirt size", "item"] },
+  { key: "scanned", label: "Scanned", aliases: ["scanned", "checked in"] },
+  { key: "received", label: "Received", aliases: ["received", "picked up"] },
+  { key: "timestamp", label: "Timestamp", aliases: ["timestamp", "time"] },
+];
+
+function canon(h) {
+  return String(h ?? "").trim().toLowerCase().replace(/[_\s]+/g, " ");
+}
+
+export function guessMapping(fields) {
+  const mapping = {};
+  const used = new Set();
+  MAPPABLE_FIELDS.forEach((f) => {
+    const hit = fields.find((h) => !used.has(h) && f.aliases.includes(canon(h)));
+    mapping[f.key] = hit || "";
+    if (hit) used.add(hit);
+  });
+  return mapping;
+}
+
+// A "source" is recognised by its header set, so each SIS export keeps its own mapping.
+export function mappingKey(fields) {
+  return fields.map(canon).sort().join("|");
+}
+
+export function loadMappingFor(fields) {
+  const saved = loadSetting("csvMappings", {})[mappingKey(fields)];
+  if (!saved) return guessMapping(fields);
+  // Ignore remembered columns that are no longer in the file.
+  const mapping = {};
+  MAPPABLE_FIELDS.forEach((f) => {
+    mapping[f.key] = fields.includes(saved[f.key]) ? saved[f.key] : "";
+  });
+  return mapping;
+}
+
+export function rememberMapping(fields, mapping) {
+  const all = loadSetting("csvMappings", {});
+  all[mappingKey(fields)] = mapping;
+  saveSetting("csvMappings", all);
+}
+
+// Columns not mapped to an app field are kept per record as custom fields.
+export function extraColumns(fields, mapping) {
+  const used = new Set(Object.values(mapping).filter(Boolean));
+  return fields.filter((h) => h && !used.has(h));
+}
+
+// Custom field names across records, in first-seen order.
+export function collectExtraKeys(records) {
+  const keys = [];
+  const seen = new Set();
+  records.forEach((r) => {
+    Object.keys(r.extra || {}).forEach((k) => {
+      if (!seen.has(k)) {
+        seen.add(k);
+        keys.push(k);
+      }
+    });
+  });
+  return keys;
+}
+
+export function formatExtra(extra) {
+  return Object.entries(extra || {})
+    .filter(([, v]) => String(v ?? "").trim())
+    .map(([k, v]) => `${k}: ${v}`)
+    .join(" • ");
+}
+
+// Returns the raw row in the shape the importer expects (ID, Name, Type, ..., Extra).
+export function applyMapping(raw, mapping, extras = []) {
+  const col = (key) => (mapping[key] ? String(raw[mapping[key]] ?? "").trim() : "");
+  const name =
+    col("name") || [col("firstName"), col("lastName")].filter(Boolean).join(" ");
+  const Extra = {};
+  extras.forEach((h) => {
+    const v = String(raw[h] ?? "").trim();
+    if (v) Extra[h] = v;
+  });
+  return {
+    ID: col("studentId"),
+    Name: name,
+    Type: col("type"),
+    Scanned: col("scanned"),
+    Received: col("received"),
+    Timestamp: col("timestamp"),
+    Extra,
+  };
+}
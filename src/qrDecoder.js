@@ -0,0 +1,42 @@
+// QR decoding for the camera scanner. Quagga2 only reads 1D barcodes, so QR frames go
+// through html5-qrcode's decoder (native BarcodeDetector when available, ZXing otherwise).
+// The decoder isn't part of html5-qrcode's public API (which wants to own the <video>),
+// so these are deep imports into its esm/ build. package.json pins the exact version for
+// that reason; check these paths still exist before bumping it.
+import { Html5QrcodeShim } from "html5-qrcode/esm/code-decoder";
+import { BaseLoggger, Html5QrcodeSupportedFormats } from "html5-qrcode/esm/core";
+
+let shim = null;
+
+function getShim() {
+  if (!shim) {
+    shim = new Html5QrcodeShim(
+      [Html5QrcodeSupportedFormats.QR_CODE],
+      true,
+      false,
+      new BaseLoggger(false)
+    );
+  }
+  return shim;
+}
+
+// Resolves the decoded text, or "" when the canvas holds no readable QR code.
+export async function decodeQrCanvas(canvas) {
+  try {
+    const res = await getShim().decodeAsync(canvas);
+    return String(res?.text || "");
+  } catch {
+    return "";
+  }
+}
+
+// Grabs the current video frame (downscaled) and decodes it.
+export async function decodeQrVideoFrame(video, canvas, maxSide = 800) {
+  if (!video || video.readyState < 2 || !video.videoWidth) return "";
+  const scale = Math.min(1, maxSide / Math.max(video.videoWidth, video.videoHeight));
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  return decodeQrCanvas(canvas);
+}
@@ -0,0 +1,39 @@
+// Local QR generation for sync links (nothing leaves the device). Uses the ZXing
+// encoder that html5-qrcode already ships for decoding, so it adds no weight. This is
+// a deep import into the package's internals, like the ones in qrDecoder.js.
+import {
+  EncodeHintType,
+  QRCodeDecoderErrorCorrectionLevel,
+  QRCodeEncoder,
+} from "html5-qrcode/third_party/zxing-js.umd";
+
+// Quiet zone (in modules) required around the code by the QR spec.
+export const QR_QUIET_ZONE = 4;
+
+export const QR_SIZES = [
+  { key: "s", label: "S", px: 160 },
+  { key: "m", label: "M", px: 220 },
+  { key: "l", label: "L", px: 300 },
+];
+
+/**
+ * Encodes text as an SVG path. Returns { size, path } where `size` includes the quiet
+ * zone, so the path fits a `0 0 size size` viewBox. Returns null if the text is too long.
+ */
+export function qrSvg(text, ecLevel = "M") {
+  try {
+    const hints = new Map([[EncodeHintType.CHARACTER_SET, "UTF-8"]]);
+    const level = QRCodeDecoderErrorCorrectionLevel[ecLevel] || QRCodeDecoderErrorCorrectionLevel.M;
+    const matrix = QRCodeEncoder.encode(String(text), level, hints).getMatrix();
+    const n = matrix.getWidth();
+    let path = "";
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        if (matrix.get(x, y) === 1) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+    return { size: n + QR_QUIET_ZONE * 2, path };
+  } catch {
+    return null;
+  }
+}
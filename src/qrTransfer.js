@@ -0,0 +1,129 @@
+// Offline device-to-device transfer: the payload is gzipped, base64url-encoded and cut
+// into numbered chunks, each shown as one QR frame in a loop. The receiver keeps every
+// chunk it has seen (in any order) until the set is complete.
+//
+// Frame text: SGA1|<transferId>|<index>|<total>|<g|j>|<data>
+//   g = gzip (CompressionStream), j = plain JSON (browsers without CompressionStream)
+
+export const FRAME_PREFIX = "SGA1|";
+
+// Characters of payload per frame: small enough for a phone camera to read quickly.
+export const FRAME_CHUNK = 320;
+
+export const FRAME_SPEEDS = [
+  { key: "slow", label: "Slow", ms: 600 },
+  { key: "normal", label: "Normal", ms: 350 },
+  { key: "fast", label: "Fast", ms: 200 },
+];
+
+function toB64url(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromB64url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+// Resolves the list of frame strings for `payload`.
+export async function encodeFrames(payload, chunk = FRAME_CHUNK) {
+  let bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let enc = "j";
+  if (typeof CompressionStream !== "undefined") {
+    bytes = await pipeBytes(bytes, new CompressionStream("gzip"));
+    enc = "g";
+  }
+  const data = toB64url(bytes);
+  const id = Math.random().toString(36).slice(2, 6);
+  const total = Math.max(1, Math.ceil(data.length / chunk));
+  const frames = [];
+  for (let i = 0; i < total; i++) {
+    frames.push(`${FRAME_PREFIX}${id}|${i}|${total}|${enc}|${data.slice(i * chunk, (i + 1) * chunk)}`);
+  }
+  return frames;
+}
+
+export function isTransferFrame(text) {
+  return String(text || "").startsWith(FRAME_PREFIX);
+}
+
+function parseFrame(text) {
+  const parts = String(text).split("|");
+  if (parts.length !== 6 || `${parts[0]}|` !== FRAME_PREFIX) return null;
+  const index = Number(parts[2]);
+  const total = Number(parts[3]);
+  if (!Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) {
+    return null;
+  }
+  return { id: parts[1], index, total, enc: parts[4], data: parts[5] };
+}
+
+/**
+ * Collects frames. add(text) returns { have, total, done, restarted }; a frame from a
+ * different transfer starts over (the sender was restarted). assemble() resolves the
+ * payload once done.
+ */
+export function createFrameReceiver() {
+  let id = "";
+  let total = 0;
+  let enc = "j";
+  let chunks = new Map();
+
+  function progress(extra = {}) {
+    return { have: chunks.size, total, done: total > 0 && chunks.size === total, ...extra };
+  }
+
+  return {
+    add(text) {
+      const f = parseFrame(text);
+      if (!f) return progress();
+      let restarted = false;
+      if (f.id !== id || f.total !== total) {
+        restarted = !!id;
+        id = f.id;
+        total = f.total;
+        enc = f.enc;
+        chunks = new Map();
+      }
+      chunks.set(f.index, f.data);
+      return progress({ restarted });
+    },
+
+    progress,
+
+    // Indexes still missing, so the sender can be asked to slow down or wait a loop.
+    missing() {
+      const out = [];
+      for (let i = 0; i < total; i++) if (!chunks.has(i)) out.push(i);
+      return out;
+    },
+
+    async assemble() {
+      if (!(total > 0 && chunks.size === total)) throw new Error("Transfer not complete yet");
+      let data = "";
+      for (let i = 0; i < total; i++) data += chunks.get(i);
+      let bytes = fromB64url(data);
+      if (enc === "g") {
+        if (typeof DecompressionStream === "undefined") {
+          throw new Error("This browser can't unpack the transfer (update it and try again)");
+        }
+        bytes = await pipeBytes(bytes, new DecompressionStream("gzip"));
+      }
+      try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+      } catch {
+        throw new Error("Transfer data is damaged; scan the sequence again");
+      }
+    },
+  };
+}
@@ -0,0 +1,201 @@
+import { loadSetting, saveSetting, getDeviceId } from "./settings";
+import { buildSyncPayload, mergeSyncPayload, recordDelta } from "./sync";
+import { decryptPayload, encryptPayload, makeSyncSecret } from "./syncCrypto";
+import { takeSnapshot } from "./snapshots";
+
+/**
+ * Live sync rooms: one device opens a room, others join with its code. Every scan is
+ * pushed as a one-record delta and the other devices pull new deltas by polling.
+ * Deltas wait in a local outbox while offline and are replayed on reconnect.
+ * Seed and deltas are encrypted with the room secret from the link fragment.
+ */
+
+export const ROOM_POLL_MS = 2500;
+
+// { code, secret, since } of the room this device is in, or null.
+export function loadRoom() {
+  const room = loadSetting("room", null);
+  // Rooms from before encryption can't be rejoined without a secret.
+  return room?.secret ? room : null;
+}
+
+function saveRoom(room) {
+  saveSetting("room", room);
+}
+
+export function loadOutbox() {
+  return loadSetting("roomOutbox", []);
+}
+
+function saveOutbox(list) {
+  saveSetting("roomOutbox", list.length ? list : null);
+}
+
+async function readJson(r, fallback) {
+  const txt = await r.text();
+  let data = null;
+  try {
+    data = JSON.parse(txt);
+  } catch {
+    // ignore
+  }
+  if (!r.ok) {
+    const err = new Error(data?.error || txt || fallback);
+    err.status = r.status;
+    throw err;
+  }
+  return data;
+}
+
+export async function createRoom() {
+  const secret = makeSyncSecret();
+  const cipher = await encryptPayload(await buildSyncPayload(), secret);
+  const r = await fetch("/api/sync/room/create", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ cipher }),
+  });
+  const data = await readJson(r, "Could not open room");
+  const room = { code: String(data.code), secret, since: 0 };
+  saveRoom(room);
+  saveOutbox([]);
+  return room;
+}
+
+// Joins and merges the host's lists; resolves { room, report }.
+export async function joinRoom(code, secret) {
+  const c = String(code || "").trim();
+  if (!/^\d{6}$/.test(c)) throw new Error("Enter a 6-digit code");
+  const r = await fetch(`/api/sync/room/join?code=${encodeURIComponent(c)}`);
+  const data = await readJson(r, "Could not join room");
+  const seed = await decryptPayload(data.seed, secret);
+  await takeSnapshot("room");
+  const report = await mergeSyncPayload(seed);
+  const room = { code: c, secret, since: 0 };
+  saveRoom(room);
+  saveOutbox([]);
+  return { room, report };
+}
+
+export function leaveRoom() {
+  saveRoom(null);
+  saveOutbox([]);
+}
+
+// Queues the current state of a record for the room (no-op outside a room).
+export async function queueRecord(recordId) {
+  if (!loadRoom()) return;
+  const delta = await recordDelta(recordId);
+  if (!delta) return;
+  saveOutbox([...loadOutbox(), delta]);
+}
+
+// The server takes at most this many deltas per push.
+const PUSH_BATCH = 500;
+
+// Sends queued deltas. Resolves how many are still waiting.
+export async function flushOutbox() {
+  const room = loadRoom();
+  const pending = loadOutbox().slice(0, PUSH_BATCH);
+  if (!room || !pending.length) return pending.length;
+  const deltas = [];
+  for (const d of pending) deltas.push({ cipher: await encryptPayload(d, room.secret) });
+  const r = await fetch("/api/sync/room/push", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code: room.code, device: getDeviceId(), deltas }),
+  });
+  await readJson(r, "Push failed");
+  // Scans made while the request was in flight stay queued.
+  const rest = loadOutbox().slice(pending.length);
+  saveOutbox(rest);
+  return rest.length;
+}
+
+// Pulls deltas from other devices and merges them. Resolves { report, skipped }: the merge
+// report (or null) and how many entries were dropped because they would not decrypt.
+export async function pullRoom() {
+  const room = loadRoom();
+  if (!room) return { report: null, skipped: 0 };
+  const r = await fetch(
+    `/api/sync/room/pull?code=${encodeURIComponent(room.code)}&since=${room.since || 0}`
+  );
+  const data = await readJson(r, "Pull failed");
+  const theirs = [];
+  let skipped = 0;
+  for (const e of data.entries || []) {
+    if (e.device === getDeviceId()) continue;
+    // Anyone with the code can push; an entry that won't decrypt never will, so skip it
+    // rather than retrying it (and blocking everything after it) on every poll.
+    try {
+      theirs.push(await decryptPayload(e.cipher, room.secret));
+    } catch {
+      skipped += 1;
+    }
+  }
+  let report = null;
+  if (theirs.length) {
+    report = await mergeSyncPayload({
+      events: theirs.flatMap((e) => e.events || []),
+      records: theirs.flatMap((e) => e.records || []),
+    });
+  }
+  // Only advance once merged, so a failed merge is retried on the next poll.
+  if (loadRoom()?.code === room.code) saveRoom({ ...room, since: data.next });
+  return { report, skipped };
+}
+
+/**
+ * Runs the push/pull loop. Returns { stop, syncNow }.
+ * onStatus({ pending, lastSync, error, closed, skipped }) after every round;
+ * onMerged(report) when other devices' scans were applied.
+ */
+export function startRoomSync({ onStatus, onMerged }) {
+  let timer = null;
+  let busy = false;
+  let stopped = false;
+
+  async function round() {
+    if (busy || stopped) return;
+    busy = true;
+    const status = {
+      pending: loadOutbox().length,
+      lastSync: 0,
+      error: "",
+      closed: false,
+      skipped: 0,
+    };
+    try {
+      if (navigator.onLine !== false) {
+        status.pending = await flushOutbox();
+        const { report, skipped } = await pullRoom();
+        status.lastSync = Date.now();
+        status.skipped = skipped;
+        if (skipped) {
+          status.error = `Ignored ${skipped} room update(s) that could not be decrypted`;
+        }
+        if (report && (report.updated.length || report.added.length)) onMerged?.(report);
+      }
+    } catch (e) {
+      status.error = String(e?.message || e);
+      status.closed = e?.status === 404;
+    } finally {
+      busy = false;
+    }
+    if (!stopped) onStatus?.(status);
+  }
+
+  const onOnline = () => round();
+  window.addEventListener("online", onOnline);
+  round();
+  timer = setInterval(round, ROOM_POLL_MS);
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) clearInterval(timer);
+      window.removeEventListener("online", onOnline);
+    },
+    syncNow: round,
+  };
+}
@@ -0,0 +1,158 @@
+import { loadSetting, saveSetting } from "./settings";
+
+// Quagga2 1D readers, plus QR which runs through a second decoder (see qrDecoder.js).
+export const BARCODE_READERS = [
+  { key: "code_39_reader", label: "Code 39" },
+  { key: "code_128_reader", label: "Code 128" },
+  { key: "ean_reader", label: "EAN-13" },
+  { key: "ean_8_reader", label: "EAN-8" },
+  { key: "upc_reader", label: "UPC-A" },
+  { key: "codabar_reader", label: "Codabar" },
+  { key: "i2of5_reader", label: "Interleaved 2 of 5" },
+];
+
+// Defaults reproduce the original 7-digit student ID handling.
+export const DEFAULT_SCAN_PROFILE = {
+  readers: ["code_39_reader"],
+  qr: false,
+  engine: "auto", // auto | quagga (see decoders.js)
+  autoSubmit: true,
+  extract: {
+    trimChars: "*", // trimmed from both ends (Code 39 start/stop characters)
+    stripPrefix: "",
+    stripSuffix: "",
+    pattern: "", // optional regex; first capture group (or whole match) is the ID
+    digitsOnly: true,
+    length: 7, // 0 = any length
+    padFrom: 6, // shortest ID that is left-padded with zeros up to `length`
+    overflow: "last", // last | first | keep — for IDs longer than `length`
+  },
+};
+
+export function loadScanProfile() {
+  const saved = loadSetting("scanProfile", null);
+  if (!saved) return DEFAULT_SCAN_PROFILE;
+  return {
+    ...DEFAULT_SCAN_PROFILE,
+    ...saved,
+    extract: { ...DEFAULT_SCAN_PROFILE.extract, ...(saved.extract || {}) },
+  };
+}
+
+export function saveScanProfile(profile) {
+  saveSetting("scanProfile", profile);
+}
+
+export function quaggaReaders(profile) {
+  const keys = BARCODE_READERS.map((r) => r.key);
+  const readers = (profile.readers || []).filter((r) => keys.includes(r));
+  return readers.length ? readers : DEFAULT_SCAN_PROFILE.readers;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function compilePattern(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
+
+function stripRaw(raw, ex) {
+  let s = String(raw ?? "").trim();
+  if (ex.trimChars) {
+    const cls = `[${escapeRegex(ex.trimChars)}]+`;
+    s = s.replace(new RegExp(`^${cls}|${cls}$`, "g"), "");
+  }
+  if (ex.stripPrefix && s.startsWith(ex.stripPrefix)) s = s.slice(ex.stripPrefix.length);
+  if (ex.stripSuffix && s.endsWith(ex.stripSuffix)) s = s.slice(0, -ex.stripSuffix.length);
+  return s.trim();
+}
+
+function fitLength(digits, ex) {
+  const len = Number(ex.length) || 0;
+  if (!len) return digits;
+  if (digits.length < len && digits.length >= (Number(ex.padFrom) || len)) {
+    return digits.padStart(len, "0");
+  }
+  if (digits.length > len) {
+    if (ex.overflow === "first") return digits.slice(0, len);
+    if (ex.overflow === "last") return digits.slice(-len);
+  }
+  return digits;
+}
+
+// Turns a scanned or typed value into an ID. Anything the rule can't make sense of
+// (e.g. a typed name in Distribution) is returned as-is.
+export function extractId(raw, profile) {
+  const ex = profile.extract;
+  const s = stripRaw(raw, ex);
+  if (!s) return "";
+
+  const re = compilePattern(ex.pattern);
+  if (re) {
+    const m = s.match(re);
+    if (m) return fitLength(String(m[1] ?? m[0]).trim(), ex);
+    return s;
+  }
+
+  if (!ex.digitsOnly) return s;
+
+  const len = Number(ex.length) || 0;
+  if (len) {
+    // A standalone run of exactly `length` digits wins over everything else.
+    const exact = s.match(new RegExp(`\\b(\\d{${len}})\\b`));
+    if (exact) return exact[1];
+  }
+
+  const digits = s.replace(/\D/g, "");
+  if (!digits) return s;
+  const id = fitLength(digits, ex);
+  return len && id.length !== len ? s : id;
+}
+
+// Normalizes IDs stored from CSV or typed for lookup (padding only, no extraction).
+export function normalizeStoredId(id, profile) {
+  const s = String(id ?? "").trim();
+  const ex = profile.extract;
+  const len = Number(ex.length) || 0;
+  if (ex.digitsOnly && len && /^\d+$/.test(s) && s.length < len) {
+    if (s.length >= (Number(ex.padFrom) || len)) return s.padStart(len, "0");
+  }
+  return s;
+}
+
+// True when a typed value is a complete ID and can be submitted without pressing Submit.
+export function isCompleteId(raw, profile) {
+  const ex = profile.extract;
+  const s = stripRaw(raw, ex);
+  if (!s) return false;
+  const re = compilePattern(ex.pattern);
+  if (re) {
+    const m = s.match(re);
+    return !!m && m[0] === s;
+  }
+  const len = Number(ex.length) || 0;
+  if (!ex.digitsOnly || !len) return false;
+  return new RegExp(`^\\d{${len}}$`).test(s);
+}
+
+// Empty string when `id` has the shape the profile expects, otherwise a short reason.
+export function idShapeError(id, profile) {
+  const ex = profile.extract;
+  const len = Number(ex.length) || 0;
+  if (ex.digitsOnly && len && !new RegExp(`^\\d{${len}}$`).test(id)) {
+    return `ID is not ${len} digits`;
+  }
+  if (ex.digitsOnly && !len && !/^\d+$/.test(id)) return "ID is not numeric";
+  return "";
+}
+
+export function idPlaceholder(profile) {
+  const len = Number(profile.extract.length) || 0;
+  return profile.extract.digitsOnly && len ? `Scan/Type ${len}-digit ID` : "Scan/Type ID";
+}
@@ -0,0 +1,52 @@
+// Small device-local preferences (not synced, not part of any event).
+const PREFIX = "sga.";
+
+export function loadSetting(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    if (value === undefined || value === null) localStorage.removeItem(PREFIX + key);
+    else localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch {
+    // ignore (private mode / quota)
+  }
+}
+
+// Stable per-install id so scan history can say which phone did what.
+export function getDeviceId() {
+  let id = loadSetting("deviceId", "");
+  if (!id) {
+    id = `dev-${Math.random().toString(36).slice(2, 8)}`;
+    saveSetting("deviceId", id);
+  }
+  return id;
+}
+
+// Every stored preference as { key: value }, for backups.
+export function exportSettings(skip = []) {
+  const out = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const full = localStorage.key(i);
+      if (!full?.startsWith(PREFIX)) continue;
+      const key = full.slice(PREFIX.length);
+      if (!skip.includes(key)) out[key] = loadSetting(key, null);
+    }
+  } catch {
+    // ignore (storage unavailable)
+  }
+  return out;
+}
+
+export function importSettings(values, skip = []) {
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (!skip.includes(key)) saveSetting(key, value);
+  });
+}
@@ -0,0 +1,102 @@
+import { db } from "./db";
+
+/**
+ * Restore points: a copy of the affected events, records and scan history saved to
+ * IndexedDB right before something that rewrites them in bulk (sync, CSV import, Reset).
+ * Restoring puts the copy back with the original ids, so history and records line up.
+ */
+
+export const SNAPSHOT_REASONS = {
+  sync: "Before sync",
+  room: "Before joining room",
+  import: "Before CSV import",
+  reset: "Before reset",
+  restore: "Before restore",
+  backup: "Before backup restore",
+};
+
+// Pruning: keep at most this many, and drop anything older than the max age.
+const MAX_SNAPSHOTS = 10;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+async function prune(now) {
+  const all = await db.snapshots.orderBy("createdAt").reverse().primaryKeys();
+  const tooMany = all.slice(MAX_SNAPSHOTS);
+  const tooOld = await db.snapshots.where("createdAt").below(now - MAX_AGE_MS).primaryKeys();
+  const drop = [...new Set([...tooMany, ...tooOld])];
+  if (drop.length) await db.snapshots.bulkDelete(drop);
+}
+
+/**
+ * Saves a restore point. With `eventId` only that event, its records and its scans are
+ * copied, otherwise everything. Resolves the new snapshot id.
+ */
+export async function takeSnapshot(reason, { eventId = null } = {}) {
+  const now = Date.now();
+  const [events, records, scans] = await db.transaction(
+    "r",
+    db.events,
+    db.records,
+    db.scans,
+    async () =>
+      eventId == null
+        ? Promise.all([db.events.toArray(), db.records.toArray(), db.scans.toArray()])
+        : Promise.all([
+            db.events.get(eventId).then((e) => (e ? [e] : [])),
+            db.records.where({ eventId }).toArray(),
+            db.scans.where({ eventId }).toArray(),
+          ])
+  );
+  const id = await db.snapshots.add({
+    createdAt: now,
+    reason,
+    eventId,
+    eventNames: events.map((e) => e.name),
+    counts: {
+      events: events.length,
+      records: records.length,
+      done: records.filter((r) => r.scanned || r.received).length,
+      scans: scans.length,
+    },
+    events,
+    records,
+    scans,
+  });
+  await prune(now);
+  return id;
+}
+
+// Newest first, without the (possibly large) copied rows.
+export async function listSnapshots() {
+  const all = await db.snapshots.orderBy("createdAt").reverse().toArray();
+  return all.map(({ events, records, scans, ...meta }) => meta);
+}
+
+export async function deleteSnapshot(id) {
+  await db.snapshots.delete(id);
+}
+
+/**
+ * Puts a snapshot back. The current data is saved as a "restore" snapshot first, so a
+ * restore can itself be undone. Resolves the restored snapshot's counts.
+ */
+export async function restoreSnapshot(id) {
+  const snap = await db.snapshots.get(id);
+  if (!snap) throw new Error("Restore point not found");
+  await takeSnapshot("restore", { eventId: snap.eventId });
+  await db.transaction("rw", db.events, db.records, db.scans, async () => {
+    const scans =
+      snap.eventId == null ? db.scans.toCollection() : db.scans.where({ eventId: snap.eventId });
+    if (snap.eventId == null) {
+      await db.records.clear();
+      await db.events.clear();
+    } else {
+      await db.records.where({ eventId: snap.eventId }).delete();
+    }
+    await db.events.bulkPut(snap.events);
+    await db.records.bulkPut(snap.records);
+    await scans.delete();
+    await db.scans.bulkPut(snap.scans);
+  });
+  return snap.counts;
+}
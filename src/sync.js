@@ -0,0 +1,302 @@
+import { db, makeUid } from "./db";
+import { attachLegacyRecords } from "./events";
+
+/**
+ * Merge-based sync.
+ *
+ * Records are matched by a stable key (event uid + student + item type + occurrence),
+ * never by their local Dexie id. Each record carries:
+ *   rev         bumped on every local change
+ *   updatedAt   ms of the last local change
+ *   scannedAt / receivedAt   ms when that flag last flipped
+ *   editedAt    ms when name/type/custom fields last changed
+ * A merge takes the newest value of each flag independently; on a tie a check-in wins,
+ * so a scan made on either device is never dropped.
+ *
+ * A payload may be scoped (some events only, without progress or custom fields); the
+ * receiver then leaves everything outside that scope alone.
+ */
+
+const FLAGS = ["scanned", "received"];
+const CONTENT_FIELDS = ["name", "type", "extra", "missing"];
+const PROGRESS_FIELDS = ["scanned", "received", "timestamp", "scannedAt", "receivedAt"];
+
+// eventUids: null = every event
+export const FULL_SCOPE = { eventUids: null, progress: true, extra: true };
+
+export function normalizeScope(scope) {
+  const s = { ...FULL_SCOPE, ...(scope || {}) };
+  return {
+    eventUids: Array.isArray(s.eventUids) ? s.eventUids.map(String) : null,
+    progress: s.progress !== false,
+    extra: s.extra !== false,
+  };
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Adds the sync metadata to a change set. Pass record = null for a new row.
+export function trackChanges(record, changes, at = Date.now()) {
+  const out = { ...changes, rev: (record?.rev || 0) + 1, updatedAt: at };
+  FLAGS.forEach((f) => {
+    if (f in changes && !!changes[f] !== !!record?.[f]) out[`${f}At`] = at;
+  });
+  if (CONTENT_FIELDS.some((f) => f in changes && !same(changes[f], record?.[f]))) {
+    out.editedAt = at;
+  }
+  return out;
+}
+
+function baseKey(r) {
+  const id = String(r.studentId ?? "").trim();
+  const who = id ? `id:${id}` : `name:${String(r.name ?? "").trim().toLowerCase()}`;
+  return `${who}|${String(r.type ?? "").trim().toLowerCase()}`;
+}
+
+// Key -> records for one event's list. A student can order two of the same item,
+// so repeats are told apart by their order in the list. Single-record deltas carry
+// their key along (`syncKey`) since they have no list to count in; one pull can hold
+// several deltas for the same record (from different devices), so they are all kept.
+function groupByKey(records) {
+  const seen = new Map();
+  const out = new Map();
+  const put = (key, r) => {
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(r);
+  };
+  [...records]
+    .sort((a, b) => (a.id ?? 0) - (b.id ?? 0))
+    .forEach((r) => {
+      if (r.syncKey) {
+        put(r.syncKey, r);
+        return;
+      }
+      const base = baseKey(r);
+      const n = seen.get(base) || 0;
+      seen.set(base, n + 1);
+      put(`${base}#${n}`, r);
+    });
+  return out;
+}
+
+// Key -> record for a local list (keys are unique there).
+function keyRecords(records) {
+  return new Map([...groupByKey(records)].map(([key, rows]) => [key, rows[0]]));
+}
+
+// Changes to bring `local` up to date with `remote` (empty when nothing is newer).
+function mergeRecord(local, remote, scope) {
+  const changes = {};
+
+  // A roster sent without progress says nothing about check-ins.
+  (scope.progress ? FLAGS : []).forEach((f) => {
+    const lAt = local[`${f}At`] || 0;
+    const rAt = remote[`${f}At`] || 0;
+    const lv = !!local[f];
+    const rv = !!remote[f];
+    if (lv === rv) return;
+    if (rAt > lAt || (rAt === lAt && rv)) {
+      changes[f] = rv;
+      changes[`${f}At`] = rAt;
+    }
+  });
+  const flagsFromRemote = FLAGS.some((f) => f in changes);
+  if (flagsFromRemote && String(remote.timestamp ?? "") !== String(local.timestamp ?? "")) {
+    changes.timestamp = remote.timestamp ?? "";
+  }
+
+  const lEdit = [local.editedAt || 0, local.rev || 0];
+  const rEdit = [remote.editedAt || 0, remote.rev || 0];
+  if (rEdit[0] > lEdit[0] || (rEdit[0] === lEdit[0] && rEdit[1] > lEdit[1])) {
+    CONTENT_FIELDS.forEach((f) => {
+      if (f === "extra" && !scope.extra) return;
+      if (f in remote && !same(remote[f], local[f])) changes[f] = remote[f];
+    });
+    // Without custom fields only part of the remote edit was taken; keeping the old
+    // editedAt lets a later full sync from the same sender still bring the rest.
+    if (scope.extra && Object.keys(changes).some((k) => CONTENT_FIELDS.includes(k))) {
+      changes.editedAt = remote.editedAt || 0;
+    }
+  }
+
+  if (!Object.keys(changes).length) return changes;
+  return {
+    ...changes,
+    rev: Math.max(local.rev || 0, remote.rev || 0) + 1,
+    updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+  };
+}
+
+function stripForScope(record, scope) {
+  const out = { ...record };
+  if (!scope.progress) PROGRESS_FIELDS.forEach((f) => delete out[f]);
+  if (!scope.extra) delete out.extra;
+  return out;
+}
+
+export async function buildSyncPayload(scope = FULL_SCOPE) {
+  const s = normalizeScope(scope);
+  const all = await db.events.toArray();
+  const events = s.eventUids ? all.filter((e) => s.eventUids.includes(e.uid)) : all;
+  const uidOf = new Map(events.map((e) => [e.id, e.uid || ""]));
+  const records = (await db.records.toArray())
+    .filter((r) => uidOf.has(r.eventId))
+    .map((r) => stripForScope({ ...r, eventUid: uidOf.get(r.eventId) }, s));
+  return {
+    version: 2,
+    scope: s,
+    events,
+    records,
+    mode: s.eventUids ? "scoped" : "all",
+    exportedAt: Date.now(),
+  };
+}
+
+// One changed record as a tiny payload that mergeSyncPayload understands.
+export async function recordDelta(recordId) {
+  const record = await db.records.get(recordId);
+  if (!record) return null;
+  const event = await db.events.get(record.eventId);
+  const siblings = await db.records.where({ eventId: record.eventId }).toArray();
+  let syncKey = "";
+  keyRecords(siblings).forEach((r, key) => {
+    if (r.id === record.id) syncKey = key;
+  });
+  return {
+    at: Date.now(),
+    events: event ? [event] : [],
+    records: [{ ...record, eventUid: event?.uid || "", syncKey }],
+  };
+}
+
+const SCALAR = ["string", "number", "boolean", "undefined"];
+
+// The server only sees ciphertext, so the shape of the decrypted data is checked here.
+export function validateSyncPayload(payload) {
+  if (!payload || typeof payload !== "object" || !Array.isArray(payload.records)) {
+    throw new Error("Sync data invalid");
+  }
+  if (payload.events != null && !Array.isArray(payload.events)) {
+    throw new Error("Sync data invalid (events)");
+  }
+  const badEvent = (payload.events || []).find(
+    (e) => !e || typeof e !== "object" || typeof e.name !== "string"
+  );
+  if (badEvent) throw new Error("Sync data invalid (events)");
+  const badRecord = payload.records.find(
+    (r) =>
+      !r ||
+      typeof r !== "object" ||
+      ["studentId", "name", "type", "timestamp", "scanned", "received"].some(
+        (f) => r[f] !== null && !SCALAR.includes(typeof r[f])
+      ) ||
+      (r.extra != null && (typeof r.extra !== "object" || Array.isArray(r.extra)))
+  );
+  if (badRecord) throw new Error("Sync data invalid (records)");
+}
+
+function sameEvent(a, b) {
+  return (
+    a.mode === b.mode &&
+    String(a.name ?? "").trim().toLowerCase() === String(b.name ?? "").trim().toLowerCase()
+  );
+}
+
+/**
+ * Merges a sync payload into the local database. Nothing local is deleted, and only
+ * records of events in the payload (and fields in its scope) are touched.
+ * Resolves a report:
+ *   { eventsAdded: [name], added: [row], updated: [{ record, changes, event }],
+ *     checkIns, unchanged }
+ */
+export async function mergeSyncPayload(payload) {
+  validateSyncPayload(payload);
+
+  const scope = normalizeScope(payload.scope);
+  const report = { scope, eventsAdded: [], added: [], updated: [], checkIns: 0, unchanged: 0 };
+
+  await db.transaction("rw", db.events, db.records, async () => {
+    const localEvents = await db.events.toArray();
+    const byRemoteId = new Map();
+    const byUid = new Map();
+
+    // Events: uid first; default events made separately on each device match by name + mode.
+    for (const ev of Array.isArray(payload.events) ? payload.events : []) {
+      let local =
+        (ev.uid && localEvents.find((e) => e.uid === ev.uid)) ||
+        localEvents.find((e) => sameEvent(e, ev));
+      if (!local) {
+        const { id: _remoteId, ...rest } = ev;
+        local = {
+          ...rest,
+          uid: ev.uid || makeUid(),
+          mode: ev.mode === "distribution" ? "distribution" : "events",
+          archived: !!ev.archived,
+          createdAt: ev.createdAt || Date.now(),
+        };
+        local.id = await db.events.add(local);
+        localEvents.push(local);
+        report.eventsAdded.push(local.name);
+      }
+      byRemoteId.set(ev.id, local);
+      if (ev.uid) byUid.set(ev.uid, local);
+    }
+
+    // Re-home incoming rows onto local event ids; rows without a known event go by mode.
+    // The remote id is kept only to order repeats; it is never written locally.
+    const homed = payload.records.map(({ eventUid, ...r }) => {
+      const ev = (eventUid && byUid.get(eventUid)) || byRemoteId.get(r.eventId);
+      return { ...r, eventId: ev ? ev.id : null, mode: ev ? ev.mode : r.mode };
+    });
+    const incoming = await attachLegacyRecords(homed);
+
+    const groups = new Map();
+    incoming.forEach((r) => {
+      if (!groups.has(r.eventId)) groups.set(r.eventId, []);
+      groups.get(r.eventId).push(r);
+    });
+
+    for (const [eventId, rows] of groups) {
+      const event = localEvents.find((e) => e.id === eventId);
+      const localKeys = keyRecords(await db.records.where({ eventId }).toArray());
+      const toAdd = [];
+
+      for (const [key, remotes] of groupByKey(rows)) {
+        const cleaned = remotes.map(({ id: _remoteId, syncKey: _key, ...clean }) => clean);
+        const local = localKeys.get(key);
+        if (!local) {
+          // New here: start from the first version and fold the others into it.
+          let row = stripForScope(cleaned[0], scope);
+          cleaned.slice(1).forEach((c) => {
+            row = { ...row, ...mergeRecord(row, c, scope) };
+          });
+          toAdd.push(row);
+          continue;
+        }
+        // Each delta goes through the per-field rules in turn, so a check-in from one
+        // device and a handout from another both land.
+        let current = local;
+        let changes = {};
+        cleaned.forEach((c) => {
+          const step = mergeRecord(current, c, scope);
+          current = { ...current, ...step };
+          changes = { ...changes, ...step };
+        });
+        if (!Object.keys(changes).length) {
+          report.unchanged += 1;
+          continue;
+        }
+        await db.records.update(local.id, changes);
+        report.checkIns += FLAGS.filter((f) => changes[f] === true && !local[f]).length;
+        report.updated.push({ record: local, changes, event: event?.name || "" });
+      }
+
+      if (toAdd.length) await db.records.bulkAdd(toAdd);
+      toAdd.forEach((r) => report.added.push({ ...r, event: event?.name || "" }));
+    }
+  });
+
+  return report;
+}
@@ -0,0 +1,84 @@
+// End-to-end encryption for sync payloads. The secret travels only in the link/QR
+// fragment (#k=...), which browsers never send to the server; the server stores and
+// returns an opaque { v, iv, ct } envelope. AES-GCM also authenticates the data, so a
+// wrong key or a tampered payload fails to decrypt instead of merging garbage.
+
+const INFO = new TextEncoder().encode("sga-sync-v1");
+
+function toB64url(bytes) {
+  let s = "";
+  bytes.forEach((b) => {
+    s += String.fromCharCode(b);
+  });
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromB64url(str) {
+  const b64 = String(str).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export function cryptoSupported() {
+  return typeof crypto !== "undefined" && !!crypto.subtle;
+}
+
+// 128-bit random secret, 22 characters.
+export function makeSyncSecret() {
+  return toB64url(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+export function isSyncSecret(s) {
+  return /^[A-Za-z0-9_-]{22}$/.test(String(s || ""));
+}
+
+async function deriveKey(secret) {
+  if (!cryptoSupported()) throw new Error("This browser can't encrypt sync data (needs HTTPS)");
+  if (!isSyncSecret(secret)) throw new Error("Missing or malformed sync key");
+  const base = await crypto.subtle.importKey("raw", fromB64url(secret), "HKDF", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(32), info: INFO },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export function isEnvelope(x) {
+  return !!x && x.v === 1 && typeof x.iv === "string" && typeof x.ct === "string";
+}
+
+export async function encryptPayload(data, secret) {
+  const key = await deriveKey(secret);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(data));
+  const ct = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain));
+  return { v: 1, iv: toB64url(iv), ct: toB64url(ct) };
+}
+
+export async function decryptPayload(envelope, secret) {
+  if (!isEnvelope(envelope)) throw new Error("Sync data is not encrypted or is damaged");
+  const key = await deriveKey(secret);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromB64url(envelope.iv) },
+      key,
+      fromB64url(envelope.ct)
+    );
+  } catch {
+    throw new Error("Wrong sync key, or the data was changed in transit");
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Pulls { code, secret } out of a scanned/pasted link like /?sync=123456#k=...
+export function parseSyncLink(raw, param = "sync") {
+  const text = String(raw || "").trim();
+  const code = (text.match(new RegExp(`\\b${param}=(\\d{6})\\b`)) || [])[1] || "";
+  const secret = (text.match(/[#&]k=([A-Za-z0-9_-]{22})/) || [])[1] || "";
+  return { code, secret };
+}
@@ -0,0 +1,70 @@
+import { idShapeError } from "./scanProfile";
+
+// Data-quality checks for mapped CSV rows ({ID, Name, Type, Scanned, Received, Timestamp}).
+
+const YES_VALUES = ["yes", "y", "true", "1", "x"];
+const NO_VALUES = ["", "no", "n", "false", "0"];
+
+export function isYes(v) {
+  return YES_VALUES.includes(String(v ?? "").trim().toLowerCase());
+}
+
+function isKnownFlag(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return YES_VALUES.includes(s) || NO_VALUES.includes(s);
+}
+
+// Spreadsheet row number of data row `index`: taken from parseCSV's `lines` when given
+// (blank rows in the file shift it), else row 0 sits under the header on row 2.
+export function rowNumber(index, lines) {
+  return lines?.[index] ?? index + 2;
+}
+
+// Returns { issues: [{row, level, field, value, message}], errorRows: Set<index> }.
+// Rows with neither ID nor Name are blank lines and are skipped without a report.
+export function validateImportRows(rows, { mode, profile, lines }) {
+  const issues = [];
+  const errorRows = new Set();
+  const seen = new Map();
+
+  const add = (i, level, field, value, message) => {
+    issues.push({ row: rowNumber(i, lines), level, field, value: String(value ?? ""), message });
+    if (level === "error") errorRows.add(i);
+  };
+
+  rows.forEach((r, i) => {
+    if (!r.ID && !r.Name) return;
+
+    if (!r.ID) {
+      if (mode === "events") add(i, "error", "ID", r.ID, "Missing ID (cannot be scanned)");
+      else add(i, "warning", "ID", r.ID, "Missing ID (name lookup only)");
+    } else if (idShapeError(r.ID, profile)) {
+      add(i, "error", "ID", r.ID, idShapeError(r.ID, profile));
+    } else {
+      // Distribution lists may hold several items per student; only an identical item repeats.
+      const key = mode === "events" ? r.ID : `${r.ID}|${String(r.Type ?? "").trim().toLowerCase()}`;
+      if (seen.has(key)) {
+        add(
+          i,
+          mode === "events" ? "error" : "warning",
+          "ID",
+          r.ID,
+          `Duplicate of row ${rowNumber(seen.get(key), lines)}`
+        );
+      } else {
+        seen.set(key, i);
+      }
+    }
+
+    if (!r.Name) add(i, "warning", "Name", r.Name, "Blank name");
+
+    if (!isKnownFlag(r.Scanned)) {
+      add(i, "warning", "Scanned", r.Scanned, "Unknown value (treated as No)");
+    }
+    if (!isKnownFlag(r.Received)) {
+      add(i, "warning", "Received", r.Received, "Unknown value (treated as No)");
+    }
+  });
+
+  return { issues, errorRows };
+}
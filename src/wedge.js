@@ -0,0 +1,111 @@
+import { loadSetting, saveSetting } from "./settings";
+
+// HID "keyboard wedge" scanners type a code much faster than a person can, usually
+// followed by Enter. We listen on window so it works no matter what has focus.
+export const DEFAULT_WEDGE = {
+  enabled: false,
+  maxGap: 35, // ms between keystrokes; anything slower is a person typing
+  minLength: 4, // shortest burst treated as a scan
+  prefix: "",
+  suffix: "",
+  terminator: "enter", // enter | tab | none (flush when the burst goes quiet)
+};
+
+export function loadWedgeSettings() {
+  return { ...DEFAULT_WEDGE, ...(loadSetting("wedge", null) || {}) };
+}
+
+export function saveWedgeSettings(wedge) {
+  saveSetting("wedge", wedge);
+}
+
+function isEditable(el) {
+  if (!el) return false;
+  if (el.tagName === "TEXTAREA") return !el.readOnly;
+  if (el.tagName !== "INPUT") return false;
+  return !el.readOnly && !["checkbox", "radio", "button", "submit", "file"].includes(el.type);
+}
+
+// Puts back what a field held before the burst leaked into it (works for React inputs).
+function restoreValue(el, value) {
+  const proto = el.tagName === "TEXTAREA" ? HTMLTextAreaElement : HTMLInputElement;
+  const setter = Object.getOwnPropertyDescriptor(proto.prototype, "value")?.set;
+  if (!setter) return;
+  setter.call(el, value);
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function stripAffixes(text, { prefix, suffix }) {
+  let s = text;
+  if (prefix && s.startsWith(prefix)) s = s.slice(prefix.length);
+  if (suffix && s.endsWith(suffix)) s = s.slice(0, -suffix.length);
+  return s.trim();
+}
+
+// Starts listening; returns a function that stops it.
+export function attachWedge(settings, onScan) {
+  const terminatorKey = { enter: "Enter", tab: "Tab" }[settings.terminator] || null;
+  const maxGap = Number(settings.maxGap) || DEFAULT_WEDGE.maxGap;
+  const minLength = Number(settings.minLength) || DEFAULT_WEDGE.minLength;
+
+  let chars = [];
+  let lastT = 0;
+  let field = null; // { el, value } snapshot of the focused field when the burst began
+  let idleTimer = null;
+
+  function reset() {
+    chars = [];
+    field = null;
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+  }
+
+  function flush() {
+    const text = chars.join("");
+    const snap = field;
+    reset();
+    if (text.length < minLength) return false;
+    if (snap && snap.el.isConnected) restoreValue(snap.el, snap.value);
+    const value = stripAffixes(text, settings);
+    if (value) onScan(value);
+    return true;
+  }
+
+  function onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const now = performance.now();
+    if (now - lastT > maxGap) reset();
+    lastT = now;
+
+    if (terminatorKey && e.key === terminatorKey) {
+      if (chars.length >= minLength) {
+        e.preventDefault();
+        e.stopPropagation();
+        flush();
+      } else {
+        reset();
+      }
+      return;
+    }
+
+    if (e.key.length !== 1) return;
+
+    if (!chars.length) {
+      const el = document.activeElement;
+      field = isEditable(el) ? { el, value: el.value } : null;
+    }
+    chars.push(e.key);
+
+    if (!terminatorKey) {
+      if (idleTimer) clearTimeout(idleTimer);
+      idleTimer = setTimeout(flush, maxGap * 3);
+    }
+  }
+
+  window.addEventListener("keydown", onKeyDown, true);
+  return () => {
+    window.removeEventListener("keydown", onKeyDown, true);
+    reset();
+  };
+}
@@ -1,6 +1,8 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import devApi from "./devApi.js";
 
-export default defineConfig({
-  plugins: [react()],
-});
+export default defineConfig(({ mode }) => ({
+  // devApi mounts api/ under `vite` dev (in-memory sync store unless SYNC_STORE is set).
+  plugins: [react(), devApi({ env: loadEnv(mode, process.cwd(), "") })],
+}));